@@ -1,41 +1,75 @@
 // Copyright 2025 Deeply Digital Designs Inc. 
 // Licensed under the GPL 3.0 License - see LICENSE file for details.
 
-import { getS3ObjectContent } from '../utils/s3Utils.mjs';
-import { gitlabApi } from '../services/gitlabApi.mjs';
+import { getS3Object, getS3ObjectSize, SYNC_METADATA_KEY } from '../utils/s3Utils.mjs';
+import { mapKeyToPath } from '../utils/pathUtils.mjs';
+import { buildCommitMessage } from '../utils/commitMessageUtils.mjs';
+import { getLfsPattern } from '../utils/lfsUtils.mjs';
+import { logger } from '../utils/logger.mjs';
+import { putMetric } from '../utils/metrics.mjs';
 
-export const handleCreateEvent = async (eventName, objectKey, bucketName, gitlabConfig) => {
+/**
+ * Stages the S3 object behind a create event on the pending GitLab commit
+ * @param {Object} record - Normalized S3 record (see normalizeEvent)
+ * @param {Object} gitlabConfig - GitLab connection settings
+ * @param {Object} commit - Commit builder from gitlabApi.createCommit
+ * @returns {Promise<string>} 'processed', or 'skipped' if the object is unmapped, too large to mirror
+ *   or was written from GitLab
+ */
+export const handleCreateEvent = async (record, gitlabConfig, commit) => {
+  const { eventName, objectKey, bucketName } = record;
   switch (eventName) {
     case 'ObjectCreated:Put':
     case 'ObjectCreated:Post':
     case 'ObjectCreated:Copy':
-      console.log(`Processing ${eventName} for object ${objectKey}`);
+    case 'ObjectCreated:CompleteMultipartUpload':
+      logger.info(`Processing ${eventName} for object ${objectKey}`);
+      const repoPath = mapKeyToPath(objectKey, gitlabConfig.pathMappings);
+      if (!repoPath) {
+        logger.info(`No path mapping rule matches ${objectKey}. No Gitlab action taken.`);
+        return 'skipped';
+      }
 
       try {
-        const fileContent = await getS3ObjectContent(bucketName, objectKey);
-        const actionDescription = eventName === 'ObjectCreated:Copy' ? 'via Copy' : '';
-        const commitMessage = `Pipeline Creation - Object ${objectKey} ${actionDescription}`;
+        // Check the size before pulling the whole object into memory
+        const size = record.size ?? await getS3ObjectSize(bucketName, objectKey);
+        if (gitlabConfig.maxFileSize && size > gitlabConfig.maxFileSize) {
+          logger.warn(`Object ${objectKey} is ${size} bytes, above the ${gitlabConfig.maxFileSize} byte limit. No Gitlab action taken.`);
+          return 'skipped';
+        }
 
-        await gitlabApi.addOrUpdateFile(
-          gitlabConfig.apiUrl,
-          gitlabConfig.projectId,
-          objectKey,
-          gitlabConfig.branchName,
-          fileContent,
-          gitlabConfig.token,
-          commitMessage
-        );
-        console.log(`Successfully processed create event for ${objectKey}`);
+        const { content: fileContent, contentType, metadata } = await getS3Object(bucketName, objectKey);
+        // Objects written by the GitLab push webhook already match the repository
+        if (metadata[SYNC_METADATA_KEY] === encodeURIComponent(repoPath)) {
+          logger.info(`Object ${objectKey} was written from ${repoPath} in GitLab. No Gitlab action taken.`);
+          return 'skipped';
+        }
+        const templates = gitlabConfig.commitTemplates;
+        // Copies use one message; other creations are described by what they do to the repository
+        const commitMessage = eventName === 'ObjectCreated:Copy'
+          ? buildCommitMessage('copy', record, repoPath, templates)
+          : {
+            create: buildCommitMessage('create', record, repoPath, templates),
+            update: buildCommitMessage('update', record, repoPath, templates)
+          };
+
+        // Objects matching the LFS rules are committed as pointers to an LFS upload
+        const lfsPattern = getLfsPattern(repoPath, fileContent.length, gitlabConfig.lfs);
+        commit.createOrUpdate(repoPath, fileContent, commitMessage, {
+          contentType,
+          overrides: gitlabConfig.encodingOverrides,
+          ...(lfsPattern && { lfsPattern }),
+          // Counted once committed, so no-ops, failed commits and redeliveries don't add to the bytes mirrored
+          onCommitted: () => putMetric('ObjectSize', fileContent.length, 'Bytes', { Bucket: bucketName })
+        });
+        logger.info(`Staged create event for ${objectKey} as ${repoPath}${lfsPattern ? ' (Git LFS)' : ''}`);
       } catch (error) {
-        console.error(`Failed to process create event for ${objectKey}:`, error.message);
+        logger.error(`Failed to process create event for ${objectKey}`, { error });
         throw error;
       }
-      break;
-    case 'ObjectCreated:CompleteMultipartUpload':
-      console.log(`Object ${objectKey} created via multipart upload. No Gitlab action taken.`);
-      break;
+      return 'processed';
     default:
-      console.warn(`Unhandled creation event type: ${eventName} for object ${objectKey}`);
+      logger.warn(`Unhandled creation event type: ${eventName} for object ${objectKey}`);
       throw new Error(`Unhandled creation event: ${eventName}`);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,188 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { createHash } from 'crypto';
+
+import { gitlabApi } from '../services/gitlabApi.mjs';
+import { getS3Object, listS3Objects } from '../utils/s3Utils.mjs';
+import { isKeyIncluded, mapKeyToPath } from '../utils/pathUtils.mjs';
+import { buildCommitMessage } from '../utils/commitMessageUtils.mjs';
+import { buildLfsPointer, getLfsPattern, GITATTRIBUTES_PATH } from '../utils/lfsUtils.mjs';
+import { resolveCommitAuthor } from '../utils/authorUtils.mjs';
+import { logger } from '../utils/logger.mjs';
+import { countMetric } from '../utils/metrics.mjs';
+
+// Largest number of actions sent in one commit
+const DEFAULT_CHUNK_SIZE = 100;
+
+// Object bytes staged before a commit is sent, since the builder holds every staged object in memory
+const DEFAULT_CHUNK_BYTES = 50 * 1024 * 1024;
+
+// Git's blob id: SHA-1 over a "blob <size>\0" header followed by the content
+const gitBlobId = (content) => {
+  return createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+};
+
+/**
+ * Works out which repository paths a reconcile may delete. Without path mappings
+ * the bucket prefix is the scope; with them, each rule that can match keys under
+ * the prefix contributes its targetDir. A rule without one could write anywhere,
+ * so no scope is derived and an explicit repoPath is needed.
+ * @param {string} prefix - Bucket prefix being reconciled
+ * @param {string} [repoPath] - Explicit scope, used as-is
+ * @param {Object[]} pathMappings - Path mapping rules
+ * @returns {string[]} Path prefixes files must start with to be deleted; empty when deletes
+ *   would reach the whole branch
+ */
+const getDeleteScopes = (prefix, repoPath, pathMappings) => {
+  if (repoPath !== undefined) return repoPath ? [repoPath] : [];
+  if (pathMappings.length === 0) return prefix ? [prefix] : [];
+
+  const scopes = [];
+  for (const { prefix: rulePrefix = '', match, targetDir } of pathMappings) {
+    if (!rulePrefix.startsWith(prefix) && !prefix.startsWith(rulePrefix)) continue;
+    const directory = targetDir?.replace(/^\/+|\/+$/g, '');
+    if (!directory) return [];
+    // Without a regular expression the part of the prefix the rule doesn't strip stays in the path
+    const rest = !match && prefix.startsWith(rulePrefix) ? prefix.slice(rulePrefix.length) : '';
+    scopes.push(`${directory}/${rest}`.replace(/\/{2,}/g, '/'));
+  }
+  return scopes;
+};
+
+// Deepest directory holding every scope; the whole tree when there is none
+const getTreePath = (scopes) => {
+  if (scopes.length === 0) return '';
+  let common = scopes[0].slice(0, scopes[0].lastIndexOf('/') + 1);
+  for (const scope of scopes) {
+    while (!scope.startsWith(common)) {
+      common = common.slice(0, common.slice(0, -1).lastIndexOf('/') + 1);
+    }
+  }
+  return common.replace(/\/$/, '');
+};
+
+/**
+ * Brings the branch in line with a bucket prefix. Objects are compared with the
+ * repository tree by git blob id, and only the creates, updates and deletes
+ * needed are committed, at most chunkSize actions per commit. A commit is also
+ * sent once its staged objects reach chunkBytes, which bounds memory. Chunks already
+ * pushed stay in place if a later one fails; running the reconcile again
+ * picks up where it stopped.
+ * @param {Object} options
+ * @param {string} options.bucketName - Bucket to mirror
+ * @param {string} [options.prefix] - Only objects under this prefix are compared
+ * @param {string} [options.repoPath] - Only repository files under this path are deleted when no object
+ *   maps to them. Defaults to the scope getDeleteScopes derives; deletes never reach the whole branch
+ * @param {number} [options.chunkSize] - Largest number of actions per commit
+ * @param {number} [options.chunkBytes] - Object bytes at which a commit is sent before it is full
+ * @param {Object} gitlabConfig - GitLab connection settings
+ * @returns {Promise<Object>} Report of created, updated and deleted paths, unchanged and skipped objects, and commit
+ *   ids, or the planned commits when gitlabConfig.dryRun is set
+ */
+export const handleReconcile = async ({
+  bucketName,
+  prefix = '',
+  repoPath,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  chunkBytes = DEFAULT_CHUNK_BYTES
+}, gitlabConfig) => {
+  if (!bucketName) {
+    throw new Error('bucketName is required to reconcile');
+  }
+  const { apiUrl, projectId, branchName, token, pathMappings = [], commitTemplates } = gitlabConfig;
+  const deleteScopes = getDeleteScopes(prefix, repoPath, pathMappings);
+  logger.info(`Reconciling s3://${bucketName}/${prefix} with branch ${branchName}`);
+  if (deleteScopes.length === 0) {
+    logger.warn('No delete scope below the repository root, files without an object are kept; set repoPath to delete them');
+  }
+
+  const objects = await listS3Objects(bucketName, prefix);
+  // List from the deepest directory the scopes name, then keep only paths inside a scope
+  const tree = await gitlabApi.listRepositoryTree(apiUrl, projectId, branchName, token, getTreePath(deleteScopes));
+  const blobIds = new Map(tree.map(({ path, id }) => [path, id]));
+  logger.info(`Found ${objects.length} object(s) in the bucket and ${tree.length} file(s) on the branch`);
+
+  const report = { bucketName, prefix, created: [], updated: [], deleted: [], unchanged: 0, skipped: [], commits: [] };
+  const author = resolveCommitAuthor(undefined, gitlabConfig.commitAuthors);
+  const commit = gitlabApi.createCommit(apiUrl, projectId, branchName, () => gitlabConfig.token, {
+    author,
+    dryRun: gitlabConfig.dryRun
+  });
+  let stagedBytes = 0;
+  const flush = async () => {
+    stagedBytes = 0;
+    const response = await commit.push();
+    // A dry run lists the planned commits in place of their ids
+    if (response) report.commits.push(gitlabConfig.dryRun ? response : response.data?.id);
+  };
+
+  // Paths an object maps to, even a skipped one, are never deleted
+  const ownedPaths = new Set();
+  for (const { key, size } of objects) {
+    // Zero-byte "folder" placeholders have no counterpart in git
+    if (key.endsWith('/')) continue;
+
+    const path = mapKeyToPath(key, pathMappings);
+    if (!path) {
+      report.skipped.push({ key, reason: 'no path mapping rule matches' });
+      continue;
+    }
+    ownedPaths.add(path);
+    if (!isKeyIncluded(key, gitlabConfig.keyFilters)) {
+      report.skipped.push({ key, reason: 'excluded by key filters' });
+      continue;
+    }
+    if (gitlabConfig.maxFileSize && size > gitlabConfig.maxFileSize) {
+      report.skipped.push({ key, reason: `above the ${gitlabConfig.maxFileSize} byte limit` });
+      continue;
+    }
+
+    const { content, contentType } = await getS3Object(bucketName, key);
+    const lfsPattern = getLfsPattern(path, content.length, gitlabConfig.lfs);
+    // LFS files are compared by the pointer the branch would hold
+    const committed = lfsPattern
+      ? buildLfsPointer(createHash('sha256').update(content).digest('hex'), content.length)
+      : content;
+    const blobId = blobIds.get(path);
+    if (blobId === gitBlobId(committed)) {
+      report.unchanged++;
+      continue;
+    }
+
+    const kind = blobId ? 'update' : 'create';
+    const record = { eventName: 'Reconcile', bucketName, objectKey: key, size: content.length };
+    commit[kind](path, content, buildCommitMessage(kind, record, path, commitTemplates), {
+      contentType,
+      overrides: gitlabConfig.encodingOverrides,
+      ...(lfsPattern && { lfsPattern })
+    });
+    report[kind === 'create' ? 'created' : 'updated'].push(path);
+    stagedBytes += content.length;
+    if (commit.size >= chunkSize || stagedBytes >= chunkBytes) await flush();
+  }
+
+  for (const path of blobIds.keys()) {
+    if (ownedPaths.has(path) || path === GITATTRIBUTES_PATH) continue;
+    if (!deleteScopes.some((scope) => path.startsWith(scope))) continue;
+    const record = { eventName: 'Reconcile', bucketName, objectKey: path };
+    commit.delete(path, buildCommitMessage('delete', record, path, commitTemplates));
+    report.deleted.push(path);
+    if (commit.size >= chunkSize) await flush();
+  }
+  await flush();
+
+  for (const outcome of ['created', 'updated', 'deleted', 'skipped']) {
+    countMetric('Records', { Bucket: bucketName, Category: 'reconcile', Outcome: outcome }, report[outcome].length);
+  }
+  countMetric('Records', { Bucket: bucketName, Category: 'reconcile', Outcome: 'unchanged' }, report.unchanged);
+  logger.info('Reconcile finished', {
+    created: report.created.length,
+    updated: report.updated.length,
+    deleted: report.deleted.length,
+    unchanged: report.unchanged,
+    skipped: report.skipped.length,
+    commits: report.commits.length
+  });
+  return report;
+};
@@ -1,37 +1,48 @@
 // Copyright 2025 Deeply Digital Designs Inc. 
 // Licensed under the GPL 3.0 License - see LICENSE file for details.
 
-import { gitlabApi } from '../services/gitlabApi.mjs';
+import { mapKeyToPath } from '../utils/pathUtils.mjs';
+import { buildCommitMessage } from '../utils/commitMessageUtils.mjs';
+import { logger } from '../utils/logger.mjs';
 
-export const handleRemoveEvent = async (eventName, objectKey, versionId, gitlabConfig) => {
+/**
+ * Stages the deletion behind a remove event on the pending GitLab commit
+ * @param {Object} record - Normalized S3 record (see normalizeEvent)
+ * @param {Object} gitlabConfig - GitLab connection settings
+ * @param {Object} commit - Commit builder from gitlabApi.createCommit
+ * @returns {Promise<string>} 'processed', or 'skipped' if no path mapping rule matches
+ */
+export const handleRemoveEvent = async (record, gitlabConfig, commit) => {
+  const { eventName, objectKey, versionId } = record;
   switch (eventName) {
     case 'ObjectRemoved:Delete':
     case 'ObjectRemoved:DeleteMarkerCreated':
-      console.log(`Processing delete event for ${objectKey}`);
+      logger.info(`Processing delete event for ${objectKey}`);
+      const repoPath = mapKeyToPath(objectKey, gitlabConfig.pathMappings);
+      if (!repoPath) {
+        logger.info(`No path mapping rule matches ${objectKey}. No Gitlab action taken.`);
+        return 'skipped';
+      }
       if (versionId) {
-        console.log(`Delete marker version: ${versionId}`);
+        logger.info('Deleting behind a delete marker', { versionId });
       }
       try {
-        const commitMessage = eventName === 'ObjectRemoved:DeleteMarkerCreated'
-          ? `Pipeline Deletion - Delete Marker Created for ${objectKey}`
-          : `Pipeline Deletion - Object ${objectKey} Removed`;
-
-        await gitlabApi.deleteFile(
-          gitlabConfig.apiUrl,
-          gitlabConfig.projectId,
-          objectKey,
-          gitlabConfig.branchName,
-          gitlabConfig.token,
-          commitMessage
+        const commitMessage = buildCommitMessage(
+          eventName === 'ObjectRemoved:DeleteMarkerCreated' ? 'deleteMarker' : 'delete',
+          record,
+          repoPath,
+          gitlabConfig.commitTemplates
         );
-        console.log(`Successfully processed delete event for ${objectKey}`);
+
+        commit.delete(repoPath, commitMessage);
+        logger.info(`Staged delete event for ${objectKey} as ${repoPath}`);
       } catch (error) {
-        console.error(`Failed to process delete event for ${objectKey}:`, error.message);
+        logger.error(`Failed to process delete event for ${objectKey}`, { error });
         throw error;
       }
-      break;
+      return 'processed';
     default:
-      console.warn(`Unhandled removal event type: ${eventName} for object ${objectKey}`);
+      logger.warn(`Unhandled removal event type: ${eventName} for object ${objectKey}`);
       throw new Error(`Unhandled removal event: ${eventName}`);
   }
 };
\ No newline at end of file
@@ -0,0 +1,174 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { timingSafeEqual } from 'crypto';
+
+import { gitlabApi } from '../services/gitlabApi.mjs';
+import { deleteS3Object, putS3Object, SYNC_METADATA_KEY } from '../utils/s3Utils.mjs';
+import { isKeyIncluded, mapKeyToPath } from '../utils/pathUtils.mjs';
+import { isSyncCommit } from '../utils/commitMessageUtils.mjs';
+import { GITATTRIBUTES_PATH } from '../utils/lfsUtils.mjs';
+import { logger } from '../utils/logger.mjs';
+import { countMetric } from '../utils/metrics.mjs';
+
+// GitLab sends this SHA as `before` for new branches and as `after` for deleted ones
+const NULL_SHA = '0000000000000000000000000000000000000000';
+
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// Compares secrets in constant time so the token can't be guessed byte by byte
+const tokensMatch = (received, expected) => {
+  const a = Buffer.from(received || '');
+  const b = Buffer.from(expected || '');
+  return a.length === b.length && a.length > 0 && timingSafeEqual(a, b);
+};
+
+/**
+ * Works out which paths a push wrote and which it removed. The compare API
+ * covers pushes of any size; new branches fall back to the payload's commits,
+ * which GitLab caps at 20.
+ * @returns {Promise<{written: Set<string>, removed: Set<string>}>}
+ */
+const getPushChanges = async (payload, gitlabConfig) => {
+  const written = new Set();
+  const removed = new Set();
+  const write = (path) => { removed.delete(path); written.add(path); };
+  const remove = (path) => { written.delete(path); removed.add(path); };
+
+  if (payload.before && payload.before !== NULL_SHA) {
+    const diffs = await gitlabApi.compareCommits(
+      gitlabConfig.apiUrl, gitlabConfig.projectId, payload.before, payload.after, gitlabConfig.token
+    );
+    for (const diff of diffs) {
+      if (diff.deleted_file) {
+        remove(diff.old_path);
+        continue;
+      }
+      if (diff.renamed_file) remove(diff.old_path);
+      write(diff.new_path);
+    }
+  } else {
+    for (const commit of payload.commits || []) {
+      [...(commit.added || []), ...(commit.modified || [])].forEach(write);
+      (commit.removed || []).forEach(remove);
+    }
+  }
+  return { written, removed };
+};
+
+/**
+ * Mirrors a GitLab push back to S3. Only pushes to the configured branch are
+ * applied. Objects are written with the SYNC_METADATA_KEY metadata so the S3
+ * event they raise is not committed back to GitLab. Files last changed by a
+ * commit of this function came from S3 and are left alone, as are objects
+ * already holding the pushed content.
+ * @param {Object} event - Lambda function URL event carrying a GitLab webhook
+ * @param {Object} gitlabConfig - GitLab connection settings, including webhookToken and reverseSync
+ * @returns {Promise<Object>} Function URL response; the body lists written, deleted and skipped keys
+ */
+export const handlePushWebhook = async (event, gitlabConfig) => {
+  const headers = Object.fromEntries(
+    Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  if (!tokensMatch(headers['x-gitlab-token'], gitlabConfig.webhookToken)) {
+    logger.warn('Rejected webhook with a missing or invalid X-Gitlab-Token');
+    return respond(401, { message: 'Invalid webhook token' });
+  }
+
+  const eventType = headers['x-gitlab-event'];
+  if (eventType !== 'Push Hook') {
+    logger.info(`Ignoring GitLab ${eventType} webhook`);
+    return respond(200, { message: `Ignored ${eventType}` });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body);
+  } catch (error) {
+    return respond(400, { message: 'Webhook body is not valid JSON' });
+  }
+
+  const { bucketName, pathMappings = [] } = gitlabConfig.reverseSync || {};
+  if (payload.ref !== `refs/heads/${gitlabConfig.branchName}` || payload.after === NULL_SHA) {
+    logger.info(`Ignoring push to ${payload.ref}`);
+    return respond(200, { message: `Ignored push to ${payload.ref}` });
+  }
+  if (!bucketName) {
+    throw new Error('REVERSE_SYNC_BUCKET must be set to apply GitLab pushes');
+  }
+
+  try {
+    const { written, removed } = await getPushChanges(payload, gitlabConfig);
+    const report = { commit: payload.after, written: [], deleted: [], skipped: [] };
+    // A dry run lists the keys a push would write and delete without reading GitLab files or touching S3
+    if (gitlabConfig.dryRun) report.dryRun = true;
+
+    // Repository paths map to keys with their own rules, since S3 to GitLab mappings can't be inverted
+    const toKey = (path) => {
+      if (path === GITATTRIBUTES_PATH) return null;
+      const key = mapKeyToPath(path, pathMappings);
+      return key && isKeyIncluded(key, gitlabConfig.keyFilters) ? key : null;
+    };
+
+    for (const path of written) {
+      const key = toKey(path);
+      if (!key) {
+        report.skipped.push(path);
+        continue;
+      }
+      if (gitlabConfig.dryRun) {
+        report.written.push(key);
+        continue;
+      }
+      // The object is the source of a synced file and may have changed again since
+      const lastCommit = await gitlabApi.getLastCommit(
+        gitlabConfig.apiUrl, gitlabConfig.projectId, path, payload.after, gitlabConfig.token
+      );
+      if (isSyncCommit(lastCommit?.message)) {
+        logger.info(`File ${path} was last changed by sync commit ${lastCommit.id}, skipping write`);
+        report.skipped.push(path);
+        continue;
+      }
+      const content = await gitlabApi.getFileContent(
+        gitlabConfig.apiUrl, gitlabConfig.projectId, path, payload.after, gitlabConfig.token, { lfs: true }
+      );
+      if (content === null) {
+        logger.info(`File ${path} is gone at ${payload.after}, nothing to write`);
+        continue;
+      }
+      const changed = await putS3Object(bucketName, key, content, { [SYNC_METADATA_KEY]: encodeURIComponent(path) });
+      if (changed) {
+        report.written.push(key);
+      } else {
+        logger.info(`Object ${key} already matches ${path}, skipping write`);
+        report.skipped.push(path);
+      }
+    }
+
+    for (const path of removed) {
+      const key = toKey(path);
+      if (!key) {
+        report.skipped.push(path);
+        continue;
+      }
+      if (!gitlabConfig.dryRun) {
+        await deleteS3Object(bucketName, key);
+      }
+      report.deleted.push(key);
+    }
+
+    for (const outcome of ['written', 'deleted', 'skipped']) {
+      countMetric('Records', { Bucket: bucketName, Category: 'webhook', Outcome: outcome }, report[outcome].length);
+    }
+    logger.info('Applied GitLab push to S3', { report });
+    return respond(200, report);
+  } catch (error) {
+    logger.error(`Failed to apply push ${payload.after} to S3`, { error });
+    countMetric('Records', { Bucket: bucketName, Category: 'webhook', Outcome: 'failed' });
+    return respond(500, { message: error.message });
+  }
+};
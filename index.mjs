@@ -1,91 +1,408 @@
 // Copyright 2025 Deeply Digital Designs Inc. 
 // Licensed under the GPL 3.0 License - see LICENSE file for details.
 
-import { SecretsManagerClient, GetSecretValueCommand } from "@aws-sdk/client-secrets-manager";
-
 import { handleCreateEvent } from './handlers/createHandler.mjs';
 import { handleRemoveEvent } from './handlers/removeHandler.mjs';
-import { getEventCategory } from './utils/eventUtils.mjs';
+import { handleReconcile } from './handlers/reconcileHandler.mjs';
+import { handlePushWebhook } from './handlers/webhookHandler.mjs';
+import { gitlabApi } from './services/gitlabApi.mjs';
+import { configureRetries, setTokenRefresher } from './services/gitlabRequest.mjs';
+import { syncMergeRequest } from './services/mergeRequest.mjs';
+import { runSyncPipeline } from './services/pipeline.mjs';
+import { checkTokenExpiry } from './services/tokenExpiry.mjs';
+import { getStateStore } from './services/stateStore.mjs';
+import { createTokenRefresher, loadConfig } from './services/config.mjs';
+import { buildFailure, clearFailures, getFailureSink, persistFailures } from './services/failureSink.mjs';
+import {
+  describeEvent,
+  getEventCategory,
+  isHttpEvent,
+  isReconcileEvent,
+  isReplayEvent,
+  isSqsEvent,
+  normalizeEvent,
+  unwrapSqsMessage
+} from './utils/eventUtils.mjs';
+import { isKeyIncluded } from './utils/pathUtils.mjs';
+import { createSequenceGuard } from './utils/sequencerUtils.mjs';
+import { resolveCommitAuthor } from './utils/authorUtils.mjs';
+import { logger, runWithLogContext } from './utils/logger.mjs';
+import { addDefaultDimensions, countMetric, flushMetrics, startMetrics } from './utils/metrics.mjs';
+
+// Time kept back from the Lambda timeout so retries never run into it
+const RETRY_SAFETY_MARGIN_MS = 3000;
+
+/**
+ * Dispatches a single normalized S3 record to the matching handler
+ * @param {Object} record - Record produced by normalizeEvent
+ * @param {Object} gitlabConfig - GitLab connection settings
+ * @param {Object} commit - Commit builder the handlers stage their changes on
+ * @param {Object} sequenceGuard - Skips events older than the last applied change to the key
+ * @returns {Promise<string>} 'processed', 'skipped' or 'ignored'
+ * @throws {Error} If the record is invalid or its handler fails
+ */
+const processRecord = async (record, gitlabConfig, commit, sequenceGuard) => {
+  const { eventName, bucketName, objectKey, versionId, principalId: s3UserIdentity } = record;
+
+  // Determine event category and handle accordingly
+  const eventCategory = getEventCategory(eventName);
 
+  // S3 sends a test event when notifications are first configured; it carries no object
+  if (eventCategory === 'test') {
+    logger.info(`Acknowledged ${eventName} for bucket ${bucketName}`);
+    return 'ignored';
+  }
+
+  // Validate that the S3 object key exists
+  if (!objectKey) {
+    throw new Error('filePath is required');
+  }
 
-// Main handler  
+  // Filtered keys never reach S3 or GitLab
+  if (['create', 'remove'].includes(eventCategory) && !isKeyIncluded(objectKey, gitlabConfig.keyFilters)) {
+    logger.info(`Object ${objectKey} excluded by key filters. No Gitlab action taken.`);
+    return 'skipped';
+  }
+
+  // S3 doesn't guarantee delivery order; a late event must not undo a newer change
+  if (['create', 'remove'].includes(eventCategory) && await sequenceGuard.isStale(record)) {
+    logger.info(`Event ${eventName} for ${objectKey} (sequencer ${record.sequencer}) is older than the last applied change. No Gitlab action taken.`);
+    return 'skipped';
+  }
+
+  let status = 'processed';
+
+  switch (eventCategory) {
+    case 'create':
+      status = await handleCreateEvent(record, gitlabConfig, commit);
+      break;
+    case 'remove':
+      status = await handleRemoveEvent(record, gitlabConfig, commit);
+      break;
+    case 'restore':
+    case 'rro':
+    case 'replication':
+    case 'metadata':
+      logger.info(`Event type ${eventCategory} not handled`);
+      status = 'ignored';
+      break;
+    default:
+      const errorMessage = `Unknown event category for event: ${eventName}`;
+      logger.error(errorMessage, { record });
+      throw new Error(errorMessage);
+  }
+  if (status === 'processed') {
+    sequenceGuard.accept(record);
+  }
+  // Log final details
+  logger.info('Raw event values', {
+    bucketName,
+    objectKey,
+    eventName,
+    eventCategory,
+    s3UserIdentity,
+    hasVersionId: !!versionId
+  });
+  return status;
+};
+
+// Main handler; every line it logs carries the Lambda request ID
 export const handler = async (event, context) => {
-  console.log('Function started');
-  console.log("Received S3 event:", JSON.stringify(event, null, 2));
+  startMetrics();
+  try {
+    return await runWithLogContext({ requestId: context?.awsRequestId }, () => handleEvent(event, context));
+  } finally {
+    flushMetrics();
+  }
+};
 
-  const secretArn = process.env.SECRET_ID;
+const handleEvent = async (event, context) => {
+  logger.info('Function started');
+  // The logger redacts the X-Gitlab-Token header of webhooks
+  logger.debug('Received S3 event', { event });
 
   try {
-    // Initialize Gitlab configuration
-    const gitlabConfig = {
-      apiUrl: process.env.GITLAB_API_URL,
-      projectId: process.env.GITLAB_PROJECT_ID,
-      branchName: process.env.GITLAB_BRANCH,
-      token: null, // Will be set after retrieving secret
-      pipelineName: null // Will be set after retrieving secret
-    };
-    // Get secret
-    const region = process.env.AWS_REGION;
-    if (!region) {
-      throw new Error('AWS_REGION environment variable is not set');
-    }
-    const client = new SecretsManagerClient({ region });
-    const secretResponse = await client.send(
-      new GetSecretValueCommand({
-        SecretId: secretArn,
-        VersionStage: "AWSCURRENT",
-      })
-    );
-    console.log('Successfully retrieved secret');
-    const secretValue = JSON.parse(secretResponse.SecretString);
-    gitlabConfig.token = secretValue.token;
-
-
-    console.log('Processing S3 event details');
-    const { eventName, userIdentity, s3 } = event.Records[0];
-    const { key: objectKey, versionId } = s3.object;
-    const bucketName = s3.bucket.name;
-
-    // Validate that the S3 object key exists
-    if (!objectKey) {
-      throw new Error('filePath is required');
-    }
-
-    const s3UserIdentity = userIdentity.principalId;
-
-    // Determine event category and handle accordingly
-    const eventCategory = getEventCategory(eventName);
-
-    switch (eventCategory) {
-      case 'create':
-        await handleCreateEvent(eventName, objectKey, bucketName, gitlabConfig);
-        break;
-      case 'remove':
-        await handleRemoveEvent(eventName, objectKey, versionId, gitlabConfig);
-        break;
-      case 'restore':
-      case 'rro':
-      case 'replication':
-        console.log(`Event type ${eventCategory} not handled`);
-        break;
-      default:
-        const errorMessage = `Unknown event category for event: ${eventName}`;
-        console.error(errorMessage);
-        console.error('Full event:', JSON.stringify(event, null, 2));
-        throw new Error(errorMessage);
-    }
-    // Log final details
-    console.log('Raw event values:', {
-      bucketName,
-      objectKey,
-      eventName,
-      eventCategory,
-      s3UserIdentity,
-      hasVersionId: !!versionId
+    // Defaults, secret, config object and environment, validated before anything reaches GitLab
+    const gitlabConfig = await loadConfig();
+    addDefaultDimensions({ Project: gitlabConfig.projectId });
+    // A dry run may be asked for by one invocation, or by DRY_RUN for all of them
+    if (event?.dryRun === true) {
+      gitlabConfig.dryRun = true;
+    }
+    const { dryRun } = gitlabConfig;
+    if (dryRun) {
+      logger.info('Dry run: nothing is written to GitLab');
+    }
+    setTokenRefresher(createTokenRefresher(gitlabConfig));
+    await checkTokenExpiry(gitlabConfig, { expiresAt: gitlabConfig.tokenExpiresAt }, gitlabConfig.tokenExpiryWarningDays);
+
+    // Retries to GitLab may use the invocation's remaining time, minus a margin
+    configureRetries({
+      ...gitlabConfig.retries,
+      deadline: context?.getRemainingTimeInMillis
+        ? Date.now() + context.getRemainingTimeInMillis() - RETRY_SAFETY_MARGIN_MS
+        : undefined
     });
+
+    // GitLab push webhooks arrive through the function URL and flow the other way, into S3
+    if (isHttpEvent(event)) {
+      return await handlePushWebhook(event, gitlabConfig);
+    }
+
+    // In merge request mode changes are committed to a sync branch and proposed to the target branch.
+    // The token is read through, so a token refreshed after a 401 reaches the sync branch requests too
+    const syncConfig = gitlabConfig.mergeRequest
+      ? {
+        ...gitlabConfig,
+        branchName: gitlabConfig.mergeRequest.sourceBranch,
+        get token() {
+          return gitlabConfig.token;
+        }
+      }
+      : gitlabConfig;
+    if (gitlabConfig.mergeRequest && !dryRun) {
+      await gitlabApi.ensureBranch(
+        gitlabConfig.apiUrl,
+        gitlabConfig.projectId,
+        syncConfig.branchName,
+        gitlabConfig.branchName,
+        gitlabConfig.token
+      );
+    }
+
+    // Reconciles compare the whole bucket prefix with the branch instead of replaying events
+    if (isReconcileEvent(event)) {
+      const report = await handleReconcile({
+        bucketName: event.bucket || gitlabConfig.reconcile.bucketName,
+        prefix: event.prefix ?? gitlabConfig.reconcile.prefix,
+        repoPath: event.repoPath ?? gitlabConfig.reconcile.repoPath,
+        chunkSize: event.chunkSize ?? gitlabConfig.reconcile.chunkSize,
+        chunkBytes: event.chunkBytes ?? gitlabConfig.reconcile.chunkBytes
+      }, syncConfig);
+      if (dryRun) {
+        return { ...report, dryRun };
+      }
+      if (gitlabConfig.mergeRequest) {
+        report.mergeRequest = await syncMergeRequest(gitlabConfig);
+      }
+      if (gitlabConfig.pipeline && report.commits.length > 0) {
+        report.pipeline = await runSyncPipeline(syncConfig, {
+          buckets: [report.bucketName],
+          eventTypes: ['Reconcile'],
+          prefix: report.prefix
+        });
+      }
+      return report;
+    }
+
+    const results = [];
+    const errors = [];
+    // Records with their results, counted once every commit has been pushed
+    const outcomes = [];
+
+    // Records that fail are kept for a later { "action": "replay" } invocation
+    const failureSink = getFailureSink(gitlabConfig.failures);
+    const replayMode = isReplayEvent(event);
+
+    // SQS messages wrap a whole S3 event in their body; remember which message each record came from
+    const sqsMode = isSqsEvent(event);
+    let entries = [];
+    if (sqsMode) {
+      for (const message of event.Records) {
+        try {
+          const records = unwrapSqsMessage(message);
+          const attempt = Number(message.attributes?.ApproximateReceiveCount) || 1;
+          entries.push(...records.map((record) => ({ record, messageId: message.messageId, attempt })));
+        } catch (error) {
+          logger.error(`Failed to unwrap SQS message ${message.messageId}`, { error });
+          results.push({ messageId: message.messageId, status: 'failed', error: error.message });
+          countMetric('Records', { Category: 'unreadable', Outcome: 'failed' });
+          errors.push(error);
+        }
+      }
+      logger.info(`Unwrapped ${entries.length} S3 event record(s) from ${event.Records.length} SQS message(s)`);
+    } else if (replayMode) {
+      if (!failureSink) {
+        throw new Error('FAILURE_BUCKET or FAILURE_DIRECTORY must be set to replay failed records');
+      }
+      // Optional ids and limit narrow the replay down
+      const failures = (await failureSink.list())
+        .filter(({ id }) => !event.ids || event.ids.includes(id))
+        .slice(0, event.limit ?? Infinity);
+      entries = failures.map(({ id, record, attempts }) => ({ record, failureId: id, attempt: attempts + 1 }));
+      logger.info(`Replaying ${entries.length} failed record(s)`);
+    } else {
+      entries = normalizeEvent(event).map((record) => ({ record }));
+      logger.info(`Processing ${entries.length} S3 event record(s)`);
+    }
+
+    // Consecutive changes by one author land in one atomic commit, so git blame shows who changed the object.
+    // A new commit starts whenever the author changes, keeping the commits in record order
+    const commits = [];
+    const getCommit = (author) => {
+      const authorKey = author ? `${author.name} <${author.email}>` : '';
+      const last = commits[commits.length - 1];
+      if (last?.authorKey === authorKey) {
+        return last;
+      }
+      const pending = {
+        authorKey,
+        commit: gitlabApi.createCommit(
+          gitlabConfig.apiUrl,
+          gitlabConfig.projectId,
+          syncConfig.branchName,
+          () => gitlabConfig.token,
+          { author, dryRun }
+        ),
+        entries: []
+      };
+      commits.push(pending);
+      return pending;
+    };
+    const sequenceGuard = createSequenceGuard(getStateStore(gitlabConfig.sequencer));
+
+    for (const [index, { record, messageId, failureId, attempt = 1 }] of entries.entries()) {
+      const result = {
+        index,
+        eventName: record.eventName,
+        objectKey: record.objectKey
+      };
+      if (messageId) {
+        result.messageId = messageId;
+      }
+      if (failureId) {
+        result.failureId = failureId;
+      }
+      const outcome = { record, result, attempt };
+      try {
+        const pending = getCommit(resolveCommitAuthor(record.principalId, gitlabConfig.commitAuthors));
+        pending.entries.push(outcome);
+        result.status = await runWithLogContext(
+          { bucket: record.bucketName, key: record.objectKey },
+          () => processRecord(record, gitlabConfig, pending.commit, sequenceGuard)
+        );
+      } catch (error) {
+        logger.error(`Failed to process record ${index} (${result.objectKey})`, { error });
+        result.status = 'failed';
+        result.error = error.message;
+        outcome.error = error;
+        errors.push(error);
+      }
+      results.push(result);
+      outcomes.push(outcome);
+    }
+
+    const committedRecords = [];
+    const plannedCommits = [];
+    for (const { commit, entries: staged } of commits) {
+      try {
+        const response = await commit.push();
+        if (response && dryRun) {
+          plannedCommits.push(response);
+        } else if (response) {
+          committedRecords.push(...staged.filter(({ result }) => result.status === 'processed').map(({ record }) => record));
+        }
+      } catch (error) {
+        // Nothing staged on this commit reached the repository
+        for (const outcome of staged.filter(({ result }) => result.status === 'processed')) {
+          outcome.result.status = 'failed';
+          outcome.result.error = error.message;
+          outcome.error = error;
+          sequenceGuard.discard(outcome.record);
+        }
+        errors.push(error);
+      }
+    }
+
+    // The commits are already in GitLab; a redelivery after a failed save is a no-op
+    try {
+      if (!dryRun) await sequenceGuard.save();
+    } catch (error) {
+      logger.error('Failed to record applied sequencers', { error });
+    }
+
+    // Also run when every change was a no-op, so a redelivery can open a merge request a failed attempt missed
+    let mergeRequest;
+    if (gitlabConfig.mergeRequest && !dryRun && results.some(({ status }) => status === 'processed')) {
+      try {
+        mergeRequest = await syncMergeRequest(gitlabConfig);
+      } catch (error) {
+        logger.error('Failed to open or update the merge request', { error });
+        errors.push(error);
+      }
+    }
+
+    let pipeline;
+    if (gitlabConfig.pipeline && committedRecords.length > 0) {
+      pipeline = await runSyncPipeline(syncConfig, {
+        buckets: committedRecords.map(({ bucketName }) => bucketName),
+        keys: committedRecords.map(({ objectKey }) => objectKey),
+        eventTypes: committedRecords.map(({ eventName }) => eventName)
+      });
+    }
+
+    // Failed records are kept for replay. Only a replayed or redelivered record can have a stored
+    // failure, so first attempts that went through never cost a call to the sink
+    const failedOutcomes = outcomes.filter(({ result }) => result.status === 'failed');
+    const retriedOutcomes = outcomes.filter(({ result, attempt }) => result.status !== 'failed' && attempt > 1);
+    if (!dryRun) {
+      await persistFailures(failureSink, failedOutcomes.map(({ record, error, attempt }) => buildFailure(record, error, attempt)));
+      await clearFailures(failureSink, retriedOutcomes.map(({ record }) => record));
+    }
+
+    // Replayed records that failed again stay in the sink with their attempt count raised
+    let replayed;
+    if (replayMode) {
+      replayed = { succeeded: [], failed: [] };
+      for (const { result } of outcomes) {
+        replayed[result.status === 'failed' ? 'failed' : 'succeeded'].push(result.failureId);
+      }
+    }
+
+    for (const { record, result } of outcomes) {
+      countMetric('Records', {
+        Bucket: record.bucketName,
+        // A record without an event name already failed in processRecord
+        Category: record.eventName ? getEventCategory(record.eventName) : 'unknown',
+        Outcome: result.status
+      });
+    }
+    // Emitted even when zero, so an alarm on it never sits in INSUFFICIENT_DATA
+    countMetric('FailedRecords', {}, results.filter(({ status }) => status === 'failed').length);
+
+    const summary = {
+      total: results.length,
+      processed: results.filter(({ status }) => status === 'processed').length,
+      skipped: results.filter(({ status }) => status === 'skipped').length,
+      ignored: results.filter(({ status }) => status === 'ignored').length,
+      failed: results.filter(({ status }) => status === 'failed').length,
+      results,
+      ...(mergeRequest && { mergeRequest }),
+      ...(pipeline && { pipeline }),
+      ...(replayed && { replayed }),
+      ...(dryRun && { dryRun, plannedCommits })
+    };
+    logger.info('S3 event summary', { summary });
+
+    // Only the failed messages go back to the queue, so the rest aren't committed twice
+    if (sqsMode) {
+      const failedMessageIds = new Set(
+        results.filter(({ status }) => status === 'failed').map(({ messageId }) => messageId)
+      );
+      return {
+        ...summary,
+        batchItemFailures: [...failedMessageIds].map((itemIdentifier) => ({ itemIdentifier }))
+      };
+    }
+
+    // Surface the first failure so Lambda reports the invocation as failed; replays report failures in the summary
+    if (errors.length > 0 && !replayMode) {
+      throw errors[0];
+    }
+    return summary;
   } catch (error) {
-    console.error('Error processing S3 event:', error.message);
-    console.error('Event that caused error:', JSON.stringify(event, null, 2));
+    // Only identifiers, as events can be large; the whole event is logged at debug level on receipt
+    logger.error('Error processing S3 event', { error, ...describeEvent(event) });
     throw error;
   }
 };
@@ -0,0 +1,415 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { SecretsManagerClient, GetSecretValueCommand } from "@aws-sdk/client-secrets-manager";
+import yaml from 'js-yaml';
+
+import { getS3Object } from '../utils/s3Utils.mjs';
+import { DEFAULT_COMMIT_TEMPLATES } from '../utils/commitMessageUtils.mjs';
+import { logger } from '../utils/logger.mjs';
+
+// Settings used when no other source provides them
+export const DEFAULT_CONFIG = {
+  maxFileSize: 100 * 1024 * 1024,
+  encodingOverrides: {},
+  pathMappings: [],
+  commitTemplates: {},
+  keyFilters: { include: [], exclude: [] },
+  commitAuthors: { authors: {} },
+  lfs: { patterns: [] },
+  reverseSync: { pathMappings: [] },
+  mergeRequest: { autoMerge: false },
+  pipeline: { enabled: false, variables: {} },
+  pipelineName: null,
+  retries: {},
+  reconcile: {},
+  sequencer: {},
+  failures: {},
+  dryRun: false,
+  secretCacheTtlMs: 5 * 60 * 1000
+};
+
+// Environment variable, config path and value type of every setting the environment can set
+const ENV_SETTINGS = [
+  ['SECRET_ID', 'secretId', 'string'],
+  ['AWS_REGION', 'region', 'string'],
+  ['GITLAB_API_URL', 'apiUrl', 'string'],
+  ['GITLAB_PROJECT_ID', 'projectId', 'string'],
+  ['GITLAB_BRANCH', 'branchName', 'string'],
+  ['MAX_FILE_SIZE', 'maxFileSize', 'number'],
+  ['ENCODING_OVERRIDES', 'encodingOverrides', 'json'],
+  ['PATH_MAPPINGS', 'pathMappings', 'json'],
+  ['INCLUDE_PATTERNS', 'keyFilters.include', 'json'],
+  ['EXCLUDE_PATTERNS', 'keyFilters.exclude', 'json'],
+  ['COMMIT_MESSAGE_TEMPLATES', 'commitTemplates', 'json'],
+  ['COMMIT_AUTHORS', 'commitAuthors.authors', 'json'],
+  ['DEFAULT_COMMIT_AUTHOR', 'commitAuthors.defaultAuthor', 'json'],
+  ['LFS_PATTERNS', 'lfs.patterns', 'json'],
+  ['LFS_MIN_SIZE', 'lfs.minSize', 'number'],
+  ['REVERSE_SYNC_BUCKET', 'reverseSync.bucketName', 'string'],
+  ['REVERSE_PATH_MAPPINGS', 'reverseSync.pathMappings', 'json'],
+  ['MERGE_REQUEST_BRANCH', 'mergeRequest.sourceBranch', 'string'],
+  ['MERGE_REQUEST_TITLE', 'mergeRequest.title', 'string'],
+  ['MERGE_REQUEST_AUTO_MERGE', 'mergeRequest.autoMerge', 'boolean'],
+  ['TRIGGER_PIPELINE', 'pipeline.enabled', 'boolean'],
+  ['PIPELINE_VARIABLES', 'pipeline.variables', 'json'],
+  ['PIPELINE_NAME', 'pipelineName', 'string'],
+  ['GITLAB_MAX_RETRIES', 'retries.maxRetries', 'number'],
+  ['GITLAB_RETRY_BASE_DELAY_MS', 'retries.baseDelayMs', 'number'],
+  ['GITLAB_RETRY_MAX_DELAY_MS', 'retries.maxDelayMs', 'number'],
+  ['GITLAB_TIMEOUT_MS', 'retries.timeoutMs', 'number'],
+  ['RECONCILE_BUCKET', 'reconcile.bucketName', 'string'],
+  ['RECONCILE_PREFIX', 'reconcile.prefix', 'string'],
+  ['RECONCILE_REPO_PATH', 'reconcile.repoPath', 'string'],
+  ['RECONCILE_CHUNK_SIZE', 'reconcile.chunkSize', 'number'],
+  ['RECONCILE_CHUNK_BYTES', 'reconcile.chunkBytes', 'number'],
+  ['SEQUENCER_TABLE', 'sequencer.tableName', 'string'],
+  ['SEQUENCER_STATE_FILE', 'sequencer.stateFile', 'string'],
+  ['FAILURE_BUCKET', 'failures.bucketName', 'string'],
+  ['FAILURE_PREFIX', 'failures.prefix', 'string'],
+  ['FAILURE_DIRECTORY', 'failures.directory', 'string'],
+  ['DRY_RUN', 'dryRun', 'boolean'],
+  ['TOKEN_EXPIRY_WARNING_DAYS', 'tokenExpiryWarningDays', 'number'],
+  ['SECRET_CACHE_TTL_MS', 'secretCacheTtlMs', 'number']
+];
+
+// Secret field and config path of every setting the secret can set
+const SECRET_SETTINGS = [
+  ['token', 'token'],
+  ['webhookToken', 'webhookToken'],
+  ['triggerToken', 'pipeline.triggerToken'],
+  ['authors', 'commitAuthors.authors'],
+  ['defaultAuthor', 'commitAuthors.defaultAuthor'],
+  ['expiresAt', 'tokenExpiresAt']
+];
+
+const isAuthor = (value) => typeof value?.name === 'string' && typeof value?.email === 'string';
+const nonNegative = (value) => value >= 0 || 'must not be negative';
+const positiveInteger = (value) => (Number.isInteger(value) && value > 0) || 'must be a positive integer';
+
+const PATH_MAPPING_KEYS = ['prefix', 'match', 'replace', 'targetDir'];
+// Every rule only sets known string fields, and its regular expression compiles
+const checkPathMappings = (rules) => {
+  for (const [index, rule] of rules.entries()) {
+    const unknown = Object.keys(rule).filter((key) => !PATH_MAPPING_KEYS.includes(key));
+    if (unknown.length > 0) {
+      return `rule ${index} has unknown key ${unknown.join(', ')}; rules may set ${PATH_MAPPING_KEYS.join(', ')}`;
+    }
+    const notString = PATH_MAPPING_KEYS.find((key) => key in rule && typeof rule[key] !== 'string');
+    if (notString) return `rule ${index} ${notString} must be string`;
+    if (rule.match !== undefined) {
+      try {
+        new RegExp(rule.match);
+      } catch (error) {
+        return `rule ${index} match is not a valid regular expression: ${error.message}`;
+      }
+    }
+  }
+  return true;
+};
+
+// Templates only replace the known kinds of commit message, with a string each
+const checkCommitTemplates = (templates) => {
+  const kinds = Object.keys(DEFAULT_COMMIT_TEMPLATES);
+  const unknown = Object.keys(templates).filter((kind) => !kinds.includes(kind));
+  if (unknown.length > 0) {
+    return `has unknown key ${unknown.join(', ')}; templates may set ${kinds.join(', ')}`;
+  }
+  const notString = Object.keys(templates).find((kind) => typeof templates[kind] !== 'string');
+  return !notString || `${notString} must be string`;
+};
+
+// Expected type, and optionally presence and a check of (value, config) returning true or a problem, for each setting
+const SCHEMA = {
+  secretId: { type: 'string', required: true },
+  region: { type: 'string', required: true },
+  apiUrl: { type: 'string', required: true, check: (value) => /^https?:\/\//.test(value) || 'must be an http(s) URL' },
+  projectId: { type: ['string', 'number'], required: true },
+  branchName: { type: 'string', required: true },
+  token: { type: 'string', required: true },
+  webhookToken: { type: 'string' },
+  tokenExpiresAt: { type: 'string' },
+  maxFileSize: { type: 'number', check: nonNegative },
+  encodingOverrides: {
+    type: 'object',
+    check: (value) => Object.values(value).every((encoding) => ['text', 'base64'].includes(encoding)) ||
+      'must map globs to "text" or "base64"'
+  },
+  pathMappings: { type: 'array', items: 'object', check: checkPathMappings },
+  commitTemplates: { type: 'object', check: checkCommitTemplates },
+  'keyFilters.include': { type: 'array', items: 'string' },
+  'keyFilters.exclude': { type: 'array', items: 'string' },
+  'commitAuthors.authors': {
+    type: 'object',
+    check: (value) => Object.values(value).every(isAuthor) || 'must map principals to { name, email }'
+  },
+  'commitAuthors.defaultAuthor': { type: 'object', check: (value) => isAuthor(value) || 'must be { name, email }' },
+  'lfs.patterns': { type: 'array', items: 'string' },
+  'lfs.minSize': { type: 'number', check: positiveInteger },
+  'reverseSync.bucketName': { type: 'string' },
+  'reverseSync.pathMappings': { type: 'array', items: 'object', check: checkPathMappings },
+  'mergeRequest.sourceBranch': {
+    type: 'string',
+    check: (value, config) => value !== config.branchName || 'must differ from branchName, the branch merge requests target'
+  },
+  'mergeRequest.title': { type: 'string' },
+  'mergeRequest.autoMerge': { type: 'boolean' },
+  'pipeline.enabled': { type: 'boolean' },
+  'pipeline.variables': { type: 'object' },
+  'pipeline.triggerToken': { type: 'string' },
+  pipelineName: { type: 'string' },
+  'retries.maxRetries': { type: 'number', check: nonNegative },
+  'retries.baseDelayMs': { type: 'number', check: nonNegative },
+  'retries.maxDelayMs': { type: 'number', check: nonNegative },
+  'retries.timeoutMs': { type: 'number', check: positiveInteger },
+  'reconcile.bucketName': { type: 'string' },
+  'reconcile.prefix': { type: 'string' },
+  'reconcile.repoPath': { type: 'string' },
+  'reconcile.chunkSize': { type: 'number', check: positiveInteger },
+  'reconcile.chunkBytes': { type: 'number', check: positiveInteger },
+  'sequencer.tableName': { type: 'string' },
+  'sequencer.stateFile': { type: 'string' },
+  'failures.bucketName': { type: 'string' },
+  'failures.prefix': { type: 'string' },
+  'failures.directory': { type: 'string' },
+  dryRun: { type: 'boolean' },
+  tokenExpiryWarningDays: { type: 'number', check: nonNegative },
+  secretCacheTtlMs: { type: 'number', check: nonNegative }
+};
+
+const envNames = Object.fromEntries(ENV_SETTINGS.map(([name, path]) => [path, name]));
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), object);
+  parent[last] = value;
+};
+
+// Later layers win; plain objects are merged key by key, anything else is replaced
+const mergeLayers = (...layers) => {
+  const merge = (target, source) => {
+    for (const [key, value] of Object.entries(source)) {
+      if (value === undefined) continue;
+      target[key] = typeOf(value) === 'object' && typeOf(target[key]) === 'object'
+        ? merge({ ...target[key] }, value)
+        : value;
+    }
+    return target;
+  };
+  return layers.reduce((merged, layer) => merge(merged, layer), {});
+};
+
+// Reads the settings present in the environment; unparsable values are reported, not thrown
+const readEnvironment = (env, problems) => {
+  const layer = {};
+  for (const [name, path, type] of ENV_SETTINGS) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') continue;
+    let value = raw;
+    if (type === 'number') {
+      value = Number(raw);
+      if (Number.isNaN(value)) {
+        problems.push(`${name} must be a number, got "${raw}"`);
+        continue;
+      }
+    } else if (type === 'boolean') {
+      if (raw !== 'true' && raw !== 'false') {
+        problems.push(`${name} must be "true" or "false", got "${raw}"`);
+        continue;
+      }
+      value = raw === 'true';
+    } else if (type === 'json') {
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        problems.push(`${name} is not valid JSON: ${error.message}`);
+        continue;
+      }
+    }
+    setPath(layer, path, value);
+  }
+  return layer;
+};
+
+// Reads the optional JSON or YAML config object named by CONFIG_S3_URI (s3://bucket/key)
+const readConfigObject = async (uri, problems) => {
+  const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(uri);
+  if (!match) {
+    problems.push(`CONFIG_S3_URI must look like s3://bucket/key, got "${uri}"`);
+    return {};
+  }
+  const [, bucketName, objectKey] = match;
+  const { content } = await getS3Object(bucketName, objectKey);
+  try {
+    // YAML is a superset of JSON, so one parser reads both
+    const layer = yaml.load(content.toString('utf8'));
+    if (typeOf(layer) !== 'object') {
+      problems.push(`Config object ${uri} must hold a mapping of settings`);
+      return {};
+    }
+    logger.info(`Loaded config object ${uri}`);
+    return layer;
+  } catch (error) {
+    problems.push(`Config object ${uri} could not be parsed: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Checks a merged configuration against the schema
+ * @param {Object} config - Merged configuration
+ * @returns {string[]} Every problem found; empty when the configuration is valid
+ */
+export const validateConfig = (config) => {
+  const problems = [];
+  for (const [path, rule] of Object.entries(SCHEMA)) {
+    const label = envNames[path] ? `${path} (${envNames[path]})` : path;
+    const value = getPath(config, path);
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) problems.push(`${label} is required`);
+      continue;
+    }
+    const types = [].concat(rule.type);
+    if (!types.includes(typeOf(value))) {
+      problems.push(`${label} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      continue;
+    }
+    if (rule.items && !value.every((item) => typeOf(item) === rule.items)) {
+      problems.push(`${label} must only contain ${rule.items} entries`);
+      continue;
+    }
+    const result = rule.check ? rule.check(value, config) : true;
+    if (result !== true) {
+      problems.push(`${label} ${result}`);
+    }
+  }
+  return problems;
+};
+
+const failOnProblems = (problems) => {
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n${problems.map((problem) => `- ${problem}`).join('\n')}`);
+  }
+};
+
+// Reused across warm invocations
+let secretsClient = null;
+let cachedSecret = null;
+let staticLayers = null;
+
+const fetchSecret = async (secretId, versionStage) => {
+  const secretResponse = await secretsClient.send(
+    new GetSecretValueCommand({
+      SecretId: secretId,
+      VersionStage: versionStage,
+    })
+  );
+  return JSON.parse(secretResponse.SecretString);
+};
+
+const cacheSecret = (config, value) => {
+  cachedSecret = { secretId: config.secretId, value, expiresAt: Date.now() + config.secretCacheTtlMs };
+};
+
+// Returns the AWSCURRENT secret, fetching it only when the cached copy is missing or expired
+const getSecret = async (config) => {
+  if (cachedSecret?.secretId === config.secretId && Date.now() < cachedSecret.expiresAt) {
+    logger.info('Using cached secret');
+    return cachedSecret.value;
+  }
+  const value = await fetchSecret(config.secretId, 'AWSCURRENT');
+  logger.info('Successfully retrieved secret');
+  cacheSecret(config, value);
+  return value;
+};
+
+/**
+ * Builds the refresher used when GitLab rejects the token with 401. The secret
+ * is read again, so a rotation that finished since it was fetched is picked up;
+ * during a rotation the new token is still staged as AWSPENDING.
+ * @param {Object} config - Configuration from loadConfig; updated with the new token for later requests
+ * @returns {Function} Resolves a rejected token to its replacement, or null
+ */
+export const createTokenRefresher = (config) => {
+  const replacements = new Map();
+  return async (rejectedToken) => {
+    if (replacements.has(rejectedToken)) return replacements.get(rejectedToken);
+    for (const versionStage of ['AWSCURRENT', 'AWSPENDING']) {
+      try {
+        const secretValue = await fetchSecret(config.secretId, versionStage);
+        const { token } = secretValue;
+        if (token && token !== rejectedToken) {
+          logger.info(`Using the GitLab token from the ${versionStage} secret version`);
+          // Later warm invocations start with the working token
+          cacheSecret(config, secretValue);
+          replacements.set(rejectedToken, token);
+          config.token = token;
+          return token;
+        }
+      } catch (error) {
+        logger.warn(`Could not read the ${versionStage} secret version`, { error });
+      }
+    }
+    logger.error('GitLab rejected the token and the secret holds no other');
+    return null;
+  };
+};
+
+// The environment and config object only change on a cold start, except in tests
+const getStaticLayers = async (env) => {
+  const key = JSON.stringify([env.CONFIG_S3_URI, ...ENV_SETTINGS.map(([name]) => env[name])]);
+  if (staticLayers?.key === key) return staticLayers;
+
+  const problems = [];
+  const envLayer = readEnvironment(env, problems);
+  const fileLayer = env.CONFIG_S3_URI ? await readConfigObject(env.CONFIG_S3_URI, problems) : {};
+  const layers = { key, envLayer, fileLayer, problems };
+  if (problems.length === 0) staticLayers = layers;
+  return layers;
+};
+
+/**
+ * Builds the configuration from, in increasing precedence, the defaults, the
+ * secret, the optional config object in S3 (CONFIG_S3_URI) and the
+ * environment. Everything but the secret is validated before the secret is
+ * read; any problems are thrown together in one error.
+ * @param {Object} [env] - Environment variables
+ * @returns {Promise<Object>} Validated configuration
+ * @throws {Error} Listing every problem with the configuration
+ */
+export const loadConfig = async (env = process.env) => {
+  const { envLayer, fileLayer, problems } = await getStaticLayers(env);
+  const withoutSecret = mergeLayers(DEFAULT_CONFIG, fileLayer, envLayer);
+  failOnProblems([
+    ...problems,
+    ...validateConfig({ ...withoutSecret, token: 'pending' })
+  ]);
+
+  if (!secretsClient) {
+    secretsClient = new SecretsManagerClient({ region: withoutSecret.region });
+  }
+  const secretValue = await getSecret(withoutSecret);
+  const secretLayer = {};
+  for (const [field, path] of SECRET_SETTINGS) {
+    if (secretValue[field] !== undefined) setPath(secretLayer, path, secretValue[field]);
+  }
+
+  const config = mergeLayers(DEFAULT_CONFIG, secretLayer, fileLayer, envLayer);
+  failOnProblems(validateConfig(config).map((problem) => `${problem} in the secret or configuration`));
+
+  // Optional features are switched off by being null
+  return {
+    ...config,
+    mergeRequest: config.mergeRequest.sourceBranch ? config.mergeRequest : null,
+    pipeline: config.pipeline.enabled ? config.pipeline : null
+  };
+};
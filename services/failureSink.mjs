@@ -0,0 +1,148 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { createHash } from 'crypto';
+import { mkdir, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+import { deleteS3Object, getS3ObjectContent, listS3Objects, putS3Object } from '../utils/s3Utils.mjs';
+import { logger } from '../utils/logger.mjs';
+
+export const DEFAULT_FAILURE_PREFIX = 'failed-events/';
+
+// A failure sink keeps the records that could not be mirrored, one JSON document each:
+// { id, failedAt, attempts, error: { class, message, status? }, record }.
+// Every sink exposes: put(failure) => Promise<void>, list() => Promise<Object[]>, remove(id) => Promise<void>
+
+/**
+ * Names the document of a failed record. The id only depends on the record, so
+ * a record that fails again replaces its document instead of adding another.
+ * @param {Object} record - Normalized S3 record
+ * @returns {string} Failure id
+ */
+export const getFailureId = (record) => {
+  const identity = [record.bucketName, record.objectKey, record.eventName, record.versionId, record.sequencer];
+  return createHash('sha256').update(JSON.stringify(identity)).digest('hex').slice(0, 32);
+};
+
+/**
+ * Builds the document stored for a failed record
+ * @param {Object} record - Normalized S3 record
+ * @param {Error} error - Why it failed
+ * @param {number} attempts - How many times the record has been tried, this attempt included
+ * @returns {Object} Failure document
+ */
+export const buildFailure = (record, error, attempts) => ({
+  id: getFailureId(record),
+  failedAt: new Date().toISOString(),
+  attempts,
+  error: {
+    class: error.name,
+    message: error.message,
+    ...(error.response?.status && { status: error.response.status })
+  },
+  record
+});
+
+export const createFileFailureSink = (directory) => {
+  return {
+    put: async (failure) => {
+      await mkdir(directory, { recursive: true });
+      await writeFile(join(directory, `${failure.id}.json`), JSON.stringify(failure, null, 2));
+    },
+    list: async () => {
+      let names;
+      try {
+        names = await readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const documents = names.filter((name) => name.endsWith('.json')).sort();
+      return Promise.all(documents.map(async (name) => JSON.parse(await readFile(join(directory, name), 'utf8'))));
+    },
+    remove: async (id) => {
+      await rm(join(directory, `${id}.json`), { force: true });
+    }
+  };
+};
+
+export const createS3FailureSink = (bucketName, prefix = DEFAULT_FAILURE_PREFIX) => {
+  const keyOf = (id) => `${prefix}${id}.json`;
+  return {
+    put: async (failure) => {
+      await putS3Object(bucketName, keyOf(failure.id), Buffer.from(JSON.stringify(failure, null, 2)), {}, {
+        contentType: 'application/json'
+      });
+    },
+    list: async () => {
+      const objects = await listS3Objects(bucketName, prefix);
+      const documents = objects.filter(({ key }) => key.endsWith('.json'));
+      const failures = [];
+      for (const { key } of documents) {
+        failures.push(JSON.parse((await getS3ObjectContent(bucketName, key)).toString('utf8')));
+      }
+      return failures;
+    },
+    remove: async (id) => {
+      await deleteS3Object(bucketName, keyOf(id));
+    }
+  };
+};
+
+/**
+ * Returns the configured failure sink: a bucket selects S3, a directory the
+ * local file system. Without either, failed records are only logged.
+ * @param {Object} [options]
+ * @param {string} [options.bucketName] - Bucket the failures are written to
+ * @param {string} [options.prefix] - Key prefix of the failure documents
+ * @param {string} [options.directory] - Local directory used instead of S3
+ * @returns {Object|null} Failure sink
+ */
+export const getFailureSink = ({ bucketName, prefix, directory } = {}) => {
+  if (bucketName) return createS3FailureSink(bucketName, prefix);
+  if (directory) return createFileFailureSink(directory);
+  return null;
+};
+
+/**
+ * Stores failed records; a sink that can't be written is logged and never fails the invocation
+ * @param {Object|null} sink - Failure sink from getFailureSink
+ * @param {Object[]} failures - Documents from buildFailure
+ * @returns {Promise<void>}
+ */
+export const persistFailures = async (sink, failures) => {
+  if (!sink) return;
+  for (const failure of failures) {
+    try {
+      await sink.put(failure);
+      logger.info(`Stored failed record ${failure.id} for replay`, {
+        bucket: failure.record.bucketName,
+        key: failure.record.objectKey,
+        attempts: failure.attempts
+      });
+    } catch (error) {
+      logger.error(`Failed to store failed record ${failure.id}`, { error, failure });
+    }
+  }
+};
+
+/**
+ * Drops the stored failures of records that have now gone through, whether a
+ * replay or an SQS redelivery brought them back. Left behind, a later replay
+ * would apply the old event over newer changes.
+ * @param {Object|null} sink - Failure sink from getFailureSink
+ * @param {Object[]} records - Normalized S3 records that succeeded on a later attempt
+ * @returns {Promise<void>}
+ */
+export const clearFailures = async (sink, records) => {
+  if (!sink) return;
+  for (const record of records) {
+    const id = getFailureId(record);
+    try {
+      await sink.remove(id);
+    } catch (error) {
+      logger.error(`Failed to remove stored failure ${id}`, { error });
+    }
+  }
+};
@@ -2,23 +2,19 @@
 // Licensed under the GPL 3.0 License - see LICENSE file for details.
 
 import axios from 'axios';
+import { createHash } from 'crypto';
 
-const isBinaryFile = (filePath) => {
-  const binaryExtensions = [
-    '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff',
-    '.ico', '.pdf', '.doc', '.docx', '.xls', '.xlsx',
-    '.ppt', '.pptx', '.zip', '.rar', '.7z', '.tar',
-    '.gz', '.exe', '.dll', '.so', '.dylib', '.bin',
-    '.dat', '.db', '.sqlite', '.mp3', '.mp4', '.avi',
-    '.mov', '.wmv', '.flv'
-  ];
-
-  const ext = filePath.includes('.') ? filePath.toLowerCase().substring(filePath.lastIndexOf('.')) : '';
-  return binaryExtensions.includes(ext);
-};
+import { addSyncTrailer } from '../utils/commitMessageUtils.mjs';
+import { detectEncoding } from '../utils/encodingUtils.mjs';
+import { addLfsAttributes, buildLfsPointer, GITATTRIBUTES_PATH } from '../utils/lfsUtils.mjs';
+import { withRetry } from './gitlabRequest.mjs';
+import { logger } from '../utils/logger.mjs';
+
+const LFS_MEDIA_TYPE = 'application/vnd.git-lfs+json';
 
-const isTextFile = (filePath) => {
-  return !isBinaryFile(filePath);
+// Hex SHA-256 of file content, comparable with GitLab's content_sha256
+const sha256 = (content) => {
+  return createHash('sha256').update(Buffer.isBuffer(content) ? content : Buffer.from(content)).digest('hex');
 };
 
 export const gitlabApi = {
@@ -27,199 +23,618 @@ export const gitlabApi = {
      * @param {Object} params - Parameters to validate
      * @param {string} params.apiUrl - GitLab API URL
      * @param {string|number} params.projectId - Project ID
-     * @param {string} params.filePath - File path
+     * @param {string} [params.filePath] - File path, checked when the operation targets a file
      * @param {string} params.branch - Branch name
      * @param {string} params.token - GitLab API token
      * @throws {Error} If any required parameter is missing or empty
      * @private
      */
-  _validateParams: ({ apiUrl, projectId, filePath, branch, token }) => {
+  _validateParams: (params) => {
+    const { apiUrl, projectId, filePath, branch, token } = params;
     if (!apiUrl?.trim()) throw new Error('apiUrl is required');
     if (!projectId) throw new Error('projectId is required');
-    if (!filePath?.trim()) throw new Error('filePath is required');
+    if ('filePath' in params && !filePath?.trim()) throw new Error('filePath is required');
     if (!branch?.trim()) throw new Error('branch is required');
     if (!token?.trim()) throw new Error('token is required');
   },
 
-  _encodeContent: (content, filePath) => {
+  /**
+     * Encodes file content for the GitLab API. Content is only sent as text
+     * when it survives a UTF-8 round trip byte for byte.
+     * @param {Buffer|string} content - File content
+     * @param {string} filePath - File path, matched against encoding overrides
+     * @param {Object} [options] - contentType and overrides passed to detectEncoding
+     * @returns {{ content: string, encoding: string }} Encoded content and its encoding
+     * @private
+     */
+  _encodeContent: (content, filePath, options = {}) => {
     const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const { encoding, reason } = detectEncoding(buffer, { ...options, filePath });
+    logger.debug(`Encoding ${filePath} as ${encoding} (${reason})`);
 
-    if (isTextFile(filePath)) {
-      // For text files, convert Buffer to UTF-8 string
-      return buffer.toString('utf8');
-    } else {
-      // For binary files, convert Buffer to base64
-      return buffer.toString('base64');
-    }
+    return {
+      content: buffer.toString(encoding === 'text' ? 'utf8' : 'base64'),
+      encoding
+    };
   },
-  deleteFile: async (apiUrl, projectId, filePath, branch, token, commitMessage) => {
+  /**
+     * Builds the author fields for a write call
+     * @param {{name: string, email: string}} [author] - Commit author
+     * @returns {Object} author_name/author_email, or nothing to commit as the token owner
+     * @private
+     */
+  _authorFields: (author) => {
+    const fields = {};
+    if (author?.name) fields.author_name = author.name;
+    if (author?.email) fields.author_email = author.email;
+    return fields;
+  },
+  /**
+     * Reads a file's metadata on a branch without downloading its content
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} filePath - File path
+     * @param {string} branch - Branch name
+     * @param {string} token - GitLab API token
+     * @returns {Promise<Object|null>} { blobId, contentSha256, size }, or null if the file does not exist
+     */
+  getFileMetadata: async (apiUrl, projectId, filePath, branch, token) => {
     gitlabApi._validateParams({ apiUrl, projectId, filePath, branch, token });
 
     try {
-      const encodedFilePath = encodeURIComponent(filePath);
-
-      const requestDetails = {
-        url: `${apiUrl}/projects/${projectId}/repository/files/${encodedFilePath}`,
-        data: {
-          branch,
-          commit_message: commitMessage || `Delete ${filePath}`
-        },
-        headers: {
-          'PRIVATE-TOKEN': token,
-          'Content-Type': 'application/json'
-        }
+      const response = await withRetry(() => axios.head(
+        `${apiUrl}/projects/${projectId}/repository/files/${encodeURIComponent(filePath)}`,
+        {
+          headers: { 'PRIVATE-TOKEN': token },
+          params: { ref: branch }
+        }), `Check ${filePath}`, 'GetFileMetadata');
+      const headers = response?.headers || {};
+      return {
+        blobId: headers['x-gitlab-blob-id'],
+        contentSha256: headers['x-gitlab-content-sha256'],
+        size: headers['x-gitlab-size'] === undefined ? undefined : Number(headers['x-gitlab-size'])
       };
-      console.log('Attempting to delete file:', {
-        encodedPath: encodedFilePath,
-        originalPath: filePath,
-      });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error(`Error checking file ${filePath}`, { error });
+      throw error;
+    }
+  },
+  /**
+     * Reads a file's content from a branch
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} filePath - File path
+     * @param {string} branch - Branch name or commit SHA
+     * @param {string} token - GitLab API token
+     * @param {Object} [options]
+     * @param {boolean} [options.lfs] - Return the LFS object rather than the pointer for LFS-tracked files
+     * @returns {Promise<Buffer|null>} File content, or null if the file does not exist
+     */
+  getFileContent: async (apiUrl, projectId, filePath, branch, token, options = {}) => {
+    gitlabApi._validateParams({ apiUrl, projectId, filePath, branch, token });
 
-      const response = await axios.delete(
-        requestDetails.url,
+    try {
+      const response = await withRetry(() => axios.get(
+        `${apiUrl}/projects/${projectId}/repository/files/${encodeURIComponent(filePath)}/raw`,
         {
-          headers: requestDetails.headers,
-          data: requestDetails.data
-        });
-      console.log('File deleted successfully:', response.data);
-      return response
+          headers: { 'PRIVATE-TOKEN': token },
+          params: { ref: branch, ...(options.lfs && { lfs: true }) },
+          responseType: 'arraybuffer'
+        }), `Read ${filePath}`, 'GetFile');
+      return Buffer.from(response.data);
     } catch (error) {
-      console.error(`Error deleting file ${filePath}:`, {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        originalPath: filePath,
-        encodedPath: encodeURIComponent(filePath),
-      });
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error(`Error reading file ${filePath}`, { error });
       throw error;
     }
   },
-  addFile: async (apiUrl, projectId, filePath, branch, content, token, commitMessage) => {
+  /**
+     * Finds the latest commit on a ref that changed a file
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} filePath - File path
+     * @param {string} ref - Branch name or commit SHA
+     * @param {string} token - GitLab API token
+     * @returns {Promise<Object|null>} Commit with id and message, or null if no commit changed the file
+     */
+  getLastCommit: async (apiUrl, projectId, filePath, ref, token) => {
+    gitlabApi._validateParams({ apiUrl, projectId, filePath, branch: ref, token });
+
     try {
-      gitlabApi._validateParams({ apiUrl, projectId, filePath, branch, token });
-      if (!content) {
-        throw new Error('Content is required for adding a file');
+      const response = await withRetry(() => axios.get(
+        `${apiUrl}/projects/${projectId}/repository/commits`,
+        {
+          headers: { 'PRIVATE-TOKEN': token },
+          params: { ref_name: ref, path: filePath, per_page: 1 }
+        }), `List commits of ${filePath}`, 'ListCommits');
+      return response.data?.[0] || null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
       }
-      const encodedFilePath = encodeURIComponent(filePath);
-      const encodedContent = gitlabApi._encodeContent(content, filePath);
-      const encodingType = isTextFile(filePath) ? 'text' : 'base64';
+      logger.error(`Error finding the last commit of ${filePath}`, { error });
+      throw error;
+    }
+  },
+  /**
+     * Lists every file on a branch, optionally below one directory
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} branch - Branch name
+     * @param {string} token - GitLab API token
+     * @param {string} [path] - Directory to list, defaults to the repository root
+     * @returns {Promise<Array<{path: string, id: string}>>} File paths with their git blob ids
+     */
+  listRepositoryTree: async (apiUrl, projectId, branch, token, path) => {
+    gitlabApi._validateParams({ apiUrl, projectId, branch, token });
 
-      const requestDetails = {
-        url: `${apiUrl}/projects/${projectId}/repository/files/${encodedFilePath}`,
-        data: {
-          branch,
-          content: encodedContent,
-          encoding: encodingType,
-          commit_message: commitMessage,
-        },
-        headers: {
-          'PRIVATE-TOKEN': token,
-          'Content-Type': 'application/json'
+    const files = [];
+    let page = 1;
+    try {
+      while (page) {
+        const response = await withRetry(() => axios.get(
+          `${apiUrl}/projects/${projectId}/repository/tree`,
+          {
+            headers: { 'PRIVATE-TOKEN': token },
+            params: { ref: branch, path: path || undefined, recursive: true, per_page: 100, page }
+          }), `List tree page ${page}`, 'ListTree');
+        for (const { type, path: filePath, id } of response.data) {
+          if (type === 'blob') files.push({ path: filePath, id });
         }
-      };
-      console.log('GitLab API request details:', {
-        isText: isTextFile(filePath),
-        url: requestDetails.url,
-        branch: requestDetails.data.branch,
-        filePath: filePath,
-        encoding: isTextFile(filePath) ? 'text' : 'base64',
-        encodedFilePath,
-        contentType: Buffer.isBuffer(content) ? 'Buffer' : typeof content,
-        contentLength: content ? content.length : 0,
-        encodedLength: encodedContent ? encodedContent.length : 0,
-        preview: encodedContent.slice(0, 50)
-      });
-
-      const response = await axios.post(
-        requestDetails.url,
-        requestDetails.data,
-        { headers: requestDetails.headers, }
-      );
-      console.log('File added successfully:', response.data);
-      return response;
+        page = Number(response.headers?.['x-next-page']) || null;
+      }
+      return files;
     } catch (error) {
-      console.error('Error adding file:', {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        filePath,
-        encodedFilePath: encodeURIComponent(filePath),
-      });
+      // An empty repository or missing directory has no tree
+      if (error.response?.status === 404) {
+        return files;
+      }
+      logger.error(`Error listing repository tree on ${branch}`, { error });
       throw error;
     }
   },
-  updateFile: async (apiUrl, projectId, filePath, branch, content, token, commitMessage) => {
-    gitlabApi._validateParams({ apiUrl, projectId, filePath, branch, token });
+  /**
+     * Lists the files changed between two commits
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} from - Base commit SHA
+     * @param {string} to - Head commit SHA
+     * @param {string} token - GitLab API token
+     * @param {Object} [options]
+     * @param {boolean} [options.straight=true] - Diff from `from` directly rather than from the merge base
+     * @returns {Promise<Object[]>} Diffs with old_path, new_path, new_file, renamed_file and deleted_file
+     */
+  compareCommits: async (apiUrl, projectId, from, to, token, { straight = true } = {}) => {
+    try {
+      const response = await withRetry(() => axios.get(
+        `${apiUrl}/projects/${projectId}/repository/compare`,
+        {
+          headers: { 'PRIVATE-TOKEN': token },
+          params: { from, to, straight }
+        }), `Compare ${from}...${to}`, 'Compare');
+      return response.data.diffs || [];
+    } catch (error) {
+      logger.error(`Error comparing ${from}...${to}`, { error });
+      throw error;
+    }
+  },
+  /**
+     * Creates a branch from another ref unless it already exists
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} branch - Branch to ensure
+     * @param {string} ref - Branch or commit a missing branch is created from
+     * @param {string} token - GitLab API token
+     * @returns {Promise<boolean>} True if the branch was created
+     */
+  ensureBranch: async (apiUrl, projectId, branch, ref, token) => {
+    gitlabApi._validateParams({ apiUrl, projectId, branch, token });
+    if (!ref?.trim()) throw new Error('ref is required');
+    const url = `${apiUrl}/projects/${projectId}/repository/branches`;
+    const headers = { 'PRIVATE-TOKEN': token };
 
     try {
-      const encodedFilePath = encodeURIComponent(filePath);
-      const encodedContent = gitlabApi._encodeContent(content, filePath);
-      const requestDetails = {
-        url: `${apiUrl}/projects/${projectId}/repository/files/${encodedFilePath}`,
-        data: {
-          branch,
-          content: encodedContent,
-          encoding: isTextFile(filePath) ? 'text' : 'base64',
-          commit_message: commitMessage,
-        },
-        headers: {
-          'PRIVATE-TOKEN': token,
-          'Content-Type': 'application/json'
-        }
-      };
-      console.log('GitLab API request details:', {
-        isText: isTextFile(filePath),
-        url: requestDetails.url,
-        branch: requestDetails.data.branch,
-        filePath: filePath,
-        encoding: isTextFile(filePath) ? 'text' : 'base64',
-        encodedFilePath,
-        contentType: Buffer.isBuffer(content) ? 'Buffer' : typeof content,
-        contentLength: content ? content.length : 0,
-        encodedLength: encodedContent ? encodedContent.length : 0,
-        preview: encodedContent.slice(0, 50)
-      });
-
-      const response = await axios.put(
-        requestDetails.url,
-        requestDetails.data,
-        { headers: requestDetails.headers, }
+      await withRetry(() => axios.get(`${url}/${encodeURIComponent(branch)}`, { headers }), `Check branch ${branch}`, 'GetBranch');
+      return false;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        logger.error(`Error checking branch ${branch}`, { error });
+        throw error;
+      }
+    }
+
+    try {
+      await withRetry(() => axios.post(url, { branch, ref }, { headers }), `Create branch ${branch}`, 'CreateBranch');
+      logger.info(`Created branch ${branch} from ${ref}`);
+      return true;
+    } catch (error) {
+      // Another invocation created it first
+      if (error.response?.status === 400 && /already exists/i.test(error.response?.data?.message || '')) {
+        return false;
+      }
+      logger.error(`Error creating branch ${branch}`, { error });
+      throw error;
+    }
+  },
+  /**
+     * Finds the open merge request between two branches
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} sourceBranch - Source branch
+     * @param {string} targetBranch - Target branch
+     * @param {string} token - GitLab API token
+     * @returns {Promise<Object|null>} Merge request, or null if none is open
+     */
+  findMergeRequest: async (apiUrl, projectId, sourceBranch, targetBranch, token) => {
+    const response = await withRetry(() => axios.get(
+      `${apiUrl}/projects/${projectId}/merge_requests`,
+      {
+        headers: { 'PRIVATE-TOKEN': token },
+        params: { state: 'opened', source_branch: sourceBranch, target_branch: targetBranch }
+      }), `Find merge request ${sourceBranch}`, 'FindMergeRequest');
+    return response.data[0] || null;
+  },
+  /**
+     * Opens a merge request
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {Object} fields - Merge request attributes, e.g. source_branch, target_branch, title, description
+     * @param {string} token - GitLab API token
+     * @returns {Promise<Object>} Created merge request
+     */
+  createMergeRequest: async (apiUrl, projectId, fields, token) => {
+    const response = await withRetry(() => axios.post(
+      `${apiUrl}/projects/${projectId}/merge_requests`,
+      fields,
+      { headers: { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' } }
+    ), `Create merge request ${fields.source_branch}`, 'CreateMergeRequest', { idempotent: false });
+    return response.data;
+  },
+  /**
+     * Edits a merge request
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {number} iid - Merge request IID
+     * @param {Object} fields - Attributes to change
+     * @param {string} token - GitLab API token
+     * @returns {Promise<Object>} Updated merge request
+     */
+  updateMergeRequest: async (apiUrl, projectId, iid, fields, token) => {
+    const response = await withRetry(() => axios.put(
+      `${apiUrl}/projects/${projectId}/merge_requests/${iid}`,
+      fields,
+      { headers: { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' } }
+    ), `Update merge request !${iid}`, 'UpdateMergeRequest');
+    return response.data;
+  },
+  /**
+     * Sets a merge request to merge once its pipeline succeeds
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {number} iid - Merge request IID
+     * @param {string} token - GitLab API token
+     * @returns {Promise<Object>} Merge request
+     */
+  mergeWhenPipelineSucceeds: async (apiUrl, projectId, iid, token) => {
+    const response = await withRetry(() => axios.put(
+      `${apiUrl}/projects/${projectId}/merge_requests/${iid}/merge`,
+      { merge_when_pipeline_succeeds: true, should_remove_source_branch: true },
+      { headers: { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' } }
+    ), `Auto-merge !${iid}`, 'MergeWhenPipelineSucceeds');
+    return response.data;
+  },
+  /**
+     * Starts a pipeline on a ref. With a trigger token the pipeline triggers API
+     * is used; otherwise the pipelines API, which needs a token allowed to run pipelines.
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} ref - Branch to run the pipeline on
+     * @param {string} token - GitLab API token
+     * @param {Object} [options]
+     * @param {string} [options.triggerToken] - Pipeline trigger token
+     * @param {Object<string, string>} [options.variables] - CI/CD variables for the pipeline
+     * @returns {Promise<Object>} Created pipeline, including id and web_url
+     */
+  triggerPipeline: async (apiUrl, projectId, ref, token, { triggerToken, variables = {} } = {}) => {
+    gitlabApi._validateParams({ apiUrl, projectId, branch: ref, token });
+
+    const request = triggerToken
+      ? () => axios.post(
+        `${apiUrl}/projects/${projectId}/trigger/pipeline`,
+        { token: triggerToken, ref, variables },
+        { headers: { 'Content-Type': 'application/json' } }
+      )
+      : () => axios.post(
+        `${apiUrl}/projects/${projectId}/pipeline`,
+        { ref, variables: Object.entries(variables).map(([key, value]) => ({ key, value })) },
+        { headers: { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' } }
       );
-      console.log('File updated successfully:', response.data);
-      return response;
+    try {
+      const response = await withRetry(request, `Trigger pipeline on ${ref}`, 'TriggerPipeline', { idempotent: false });
+      logger.info(`Pipeline ${response.data.id} started on ${ref}: ${response.data.web_url}`);
+      return response.data;
     } catch (error) {
-      console.error('Error updating file:', {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        filePath,
-        encodedFilePath: encodeURIComponent(filePath),
-      });
+      logger.error(`Error triggering pipeline on ${ref}`, { error });
       throw error;
     }
   },
-  addOrUpdateFile: async (apiUrl, projectId, filePath, branch, content, token, commitMessage) => {
+  /**
+     * Reads the details of the token making the request
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string} token - GitLab API token
+     * @returns {Promise<Object>} Token details, including expires_at (YYYY-MM-DD or null)
+     */
+  getTokenInfo: async (apiUrl, token) => {
+    const response = await withRetry(() => axios.get(
+      `${apiUrl}/personal_access_tokens/self`,
+      { headers: { 'PRIVATE-TOKEN': token } }
+    ), 'Read token details', 'GetTokenInfo');
+    return response.data;
+  },
+  /**
+     * Uploads content to the project's LFS store through the LFS batch API.
+     * Objects the server already holds are not sent again.
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} token - GitLab API token
+     * @param {Buffer|string} content - Object content
+     * @returns {Promise<{oid: string, size: number}>} LFS object id and size
+     */
+  uploadLfsObject: async (apiUrl, projectId, token, content) => {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const object = { oid: sha256(buffer), size: buffer.length };
+
+    // The LFS API lives under the repository's clone URL, not the REST API
+    const project = await withRetry(() => axios.get(
+      `${apiUrl}/projects/${projectId}`,
+      { headers: { 'PRIVATE-TOKEN': token } }
+    ), 'Read project', 'GetProject');
+    const lfsUrl = `${project.data.http_url_to_repo}/info/lfs/objects`;
+    // LFS endpoints take the token as HTTP basic auth rather than PRIVATE-TOKEN
+    const auth = { username: 'oauth2', password: token };
+    const lfsHeaders = { Accept: LFS_MEDIA_TYPE, 'Content-Type': LFS_MEDIA_TYPE };
+
     try {
-      const encodedFilePath = encodeURIComponent(filePath);
-      return await gitlabApi.addFile(apiUrl, projectId, filePath, branch, content, token, commitMessage);
-    } catch (addError) {
-      if (addError.response?.status === 400) {
-        const errorMessage = addError.response?.data?.message || 'Unknown error';
-
-        if (errorMessage.toLowerCase().includes('a file with this name already exists') ||
-          errorMessage.toLowerCase().includes('file already exists')) {
-          console.log('File already exists, attempting to update:', filePath);
-          const updateCommitMessage = commitMessage.replace('Creation', 'Update');
-          try {
-            return await gitlabApi.updateFile(apiUrl, projectId, filePath, branch, content, token, updateCommitMessage);
-          } catch (updateError) {
-            console.error(`Failed to update file ${filePath}. Attempt failed with status ${updateError.response?.status}. Error not automatically handled.}`)
-            throw updateError;
+      const batch = await withRetry(() => axios.post(
+        `${lfsUrl}/batch`,
+        { operation: 'upload', transfers: ['basic'], objects: [object] },
+        { auth, headers: lfsHeaders }
+      ), `LFS batch ${object.oid}`, 'LfsBatch');
+      const result = batch.data.objects?.[0] || {};
+      if (result.error) {
+        throw new Error(`LFS upload of ${object.oid} refused: ${result.error.message}`);
+      }
+
+      const { upload, verify } = result.actions || {};
+      if (!upload) {
+        logger.info(`LFS object ${object.oid} already stored, skipping upload`);
+        return object;
+      }
+      await withRetry(() => axios.put(upload.href, buffer, {
+        headers: { ...upload.header, 'Content-Type': 'application/octet-stream' },
+        maxBodyLength: Infinity
+      }), `LFS upload ${object.oid}`, 'LfsUpload');
+      if (verify) {
+        await withRetry(() => axios.post(verify.href, object, {
+          headers: { ...verify.header, ...lfsHeaders }
+        }), `LFS verify ${object.oid}`, 'LfsVerify');
+      }
+      logger.info(`Uploaded LFS object ${object.oid} (${object.size} bytes)`);
+      return object;
+    } catch (error) {
+      logger.error(`Error uploading LFS object ${object.oid}`, { error });
+      throw error;
+    }
+  },
+  /**
+     * Starts a commit that collects file actions and sends them in a single
+     * POST /repository/commits call. Only the last action staged for a path is
+     * kept, since it reflects the latest state of the object. Writes of content
+     * the branch already holds and deletes of missing files are dropped, and no
+     * commit is made when nothing is left. Writes staged with an `lfsPattern`
+     * option upload their content to Git LFS, commit a pointer file in its place
+     * and make sure .gitattributes tracks the pattern. An `onCommitted` option is
+     * called once the commit holding its write has been created.
+     * @param {string} apiUrl - GitLab API URL
+     * @param {string|number} projectId - Project ID
+     * @param {string} branch - Branch name
+     * @param {string|Function} token - GitLab API token, or a function returning it, called for every request
+     *   so that a token refreshed after a 401 is used from then on
+     * @param {Object} [options]
+     * @param {{name: string, email: string}} [options.author] - Commit author, defaults to the token owner
+     * @param {boolean} [options.dryRun] - Work out the commit as usual but return it from push instead
+     *   of uploading LFS objects and sending it
+     * @returns {Object} Commit builder with create, update, createOrUpdate, delete, move and push
+     */
+  createCommit: (apiUrl, projectId, branch, token, options = {}) => {
+    const actions = new Map();
+    const { dryRun } = options;
+    const getToken = () => (typeof token === 'function' ? token() : token);
+
+    const stage = (action) => {
+      gitlabApi._validateParams({ apiUrl, projectId, filePath: action.filePath, branch, token: getToken() });
+      actions.delete(action.filePath);
+      actions.set(action.filePath, action);
+      return builder;
+    };
+
+    // Turns a staged action into the shape expected by the Commits API, or null for a no-op
+    const toPayload = async ({ action, filePath, previousPath, content, options }) => {
+      const lfsContent = options?.lfsPattern ? content : undefined;
+      if (lfsContent !== undefined) {
+        const buffer = Buffer.isBuffer(lfsContent) ? lfsContent : Buffer.from(lfsContent);
+        content = buildLfsPointer(sha256(buffer), buffer.length);
+      }
+      if (action === 'createOrUpdate' || action === 'delete') {
+        const existing = await gitlabApi.getFileMetadata(apiUrl, projectId, filePath, branch, getToken());
+        if (action === 'delete') {
+          if (!existing) {
+            logger.info(`File ${filePath} does not exist on ${branch}, nothing to delete`);
+            return null;
           }
+        } else if (!existing) {
+          action = 'create';
+        } else if (existing.contentSha256 && existing.contentSha256 === sha256(content)) {
+          logger.info(`File ${filePath} is unchanged on ${branch}, skipping update`);
+          return null;
+        } else {
+          action = 'update';
         }
       }
-      console.error(`Failed to add or update file ${filePath}. Initial attempt failed with status ${addError.response?.status}. Error not automatically handled.`);
-      throw addError;
-    }
+      const payload = { action, file_path: filePath };
+      if (previousPath) {
+        payload.previous_path = previousPath;
+      }
+      if (lfsContent !== undefined) {
+        // Only reached for changed files, so unchanged objects are never re-uploaded
+        if (!dryRun) {
+          await gitlabApi.uploadLfsObject(apiUrl, projectId, getToken(), lfsContent);
+        }
+        Object.assign(payload, { content, encoding: 'text' });
+      } else if (content !== undefined) {
+        Object.assign(payload, gitlabApi._encodeContent(content, filePath, options));
+      }
+      return payload;
+    };
+
+    const builder = {
+      create: (filePath, content, commitMessage, options) =>
+        stage({ action: 'create', filePath, content, commitMessage, options }),
+      update: (filePath, content, commitMessage, options) =>
+        stage({ action: 'update', filePath, content, commitMessage, options }),
+      createOrUpdate: (filePath, content, commitMessage, options) =>
+        stage({ action: 'createOrUpdate', filePath, content, commitMessage, options }),
+      delete: (filePath, commitMessage) =>
+        stage({ action: 'delete', filePath, commitMessage }),
+      move: (previousPath, filePath, content, commitMessage, options) =>
+        stage({ action: 'move', previousPath, filePath, content, commitMessage, options }),
+
+      get size() {
+        return actions.size;
+      },
+
+      /**
+         * Sends every staged action as one commit
+         * @param {string} [commitMessage] - Overrides the message built from the staged actions
+         * @returns {Promise<Object|null>} Axios response, the planned commit in a dry run, or null
+         *   when there was nothing to commit
+         */
+      push: async (commitMessage) => {
+        if (actions.size === 0) {
+          logger.info('No staged GitLab actions, skipping commit');
+          return null;
+        }
+
+        const staged = [];
+        const payloadActions = [];
+        for (const action of actions.values()) {
+          const payload = await toPayload(action);
+          if (payload) {
+            staged.push(action);
+            payloadActions.push(payload);
+          }
+        }
+        if (payloadActions.length === 0) {
+          logger.info('Branch already matches every staged action, skipping commit');
+          actions.clear();
+          return null;
+        }
+
+        // LFS pointers only resolve when .gitattributes routes their paths through the LFS filter
+        const lfsPatterns = staged.map(({ options }) => options?.lfsPattern).filter(Boolean);
+        if (lfsPatterns.length > 0 && !actions.has(GITATTRIBUTES_PATH)) {
+          const current = await gitlabApi.getFileContent(apiUrl, projectId, GITATTRIBUTES_PATH, branch, getToken());
+          const attributes = addLfsAttributes(current?.toString('utf8'), lfsPatterns);
+          if (attributes) {
+            // Not listed in the commit message, which describes the mirrored objects
+            payloadActions.push({
+              action: current ? 'update' : 'create',
+              file_path: GITATTRIBUTES_PATH,
+              content: attributes,
+              encoding: 'text'
+            });
+          }
+        }
+
+        // A message may be given per resolved action, e.g. { create, update } for createOrUpdate
+        const messages = staged.map(({ commitMessage: message, filePath }, index) => {
+          const { action } = payloadActions[index];
+          const text = typeof message === 'object' && message !== null ? message[action] : message;
+          return text || `${action} ${filePath}`;
+        });
+        const message = commitMessage || (messages.length === 1
+          ? messages[0]
+          : `Pipeline Sync - ${messages.length} objects\n\n${messages.map((line) => `- ${line.trim()}`).join('\n')}`);
+
+        if (dryRun) {
+          const plan = {
+            branch,
+            message,
+            author: options.author || null,
+            actions: payloadActions.map(({ action, file_path, previous_path, encoding, content }, index) => {
+              // Sizes are of the object; LFS files commit a pointer in its place
+              const source = staged[index]?.content ?? content;
+              return {
+                action,
+                path: file_path,
+                ...(previous_path && { previousPath: previous_path }),
+                ...(encoding && { encoding }),
+                ...(source !== undefined && { size: Buffer.byteLength(source) }),
+                ...(staged[index]?.options?.lfsPattern && { lfs: true }),
+                ...(messages[index] && { message: messages[index] })
+              };
+            })
+          };
+          logger.info('Dry run, not committing GitLab actions', { plan });
+          actions.clear();
+          return plan;
+        }
+
+        const url = `${apiUrl}/projects/${projectId}/repository/commits`;
+        logger.info('Committing GitLab actions', {
+          url,
+          branch,
+          actions: payloadActions.map(({ action, file_path, encoding }) => ({ action, file_path, encoding }))
+        });
+
+        // A commit that failed after reaching GitLab may have landed, so it is never re-sent blindly.
+        // The records fail, and their redelivery or replay finds the branch already matching
+        try {
+          const response = await withRetry(() => axios.post(
+            url,
+            {
+              branch,
+              commit_message: addSyncTrailer(message),
+              ...gitlabApi._authorFields(options.author),
+              actions: payloadActions
+            },
+            {
+              headers: {
+                'PRIVATE-TOKEN': getToken(),
+                'Content-Type': 'application/json'
+              }
+            }), 'Commit', 'Commit', { idempotent: false });
+          logger.info('Commit created successfully', { commit: response.data?.id });
+          actions.clear();
+          for (const { options: actionOptions } of staged) {
+            actionOptions?.onCommitted?.();
+          }
+          return response;
+        } catch (error) {
+          logger.error('Error creating commit', {
+            error,
+            paths: payloadActions.map(({ file_path }) => file_path)
+          });
+          throw error;
+        }
+      }
+    };
+    return builder;
   }
   // Add other GitLab API functions as needed
 };
\ No newline at end of file
@@ -0,0 +1,197 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import axios from 'axios';
+import http from 'http';
+import https from 'https';
+
+import { logger } from '../utils/logger.mjs';
+import { countMetric, putMetric } from '../utils/metrics.mjs';
+
+// Connections to GitLab stay open between requests and across warm invocations
+axios.defaults.httpAgent = new http.Agent({ keepAlive: true });
+axios.defaults.httpsAgent = new https.Agent({ keepAlive: true });
+
+const retryableStatuses = [408, 429, 500, 502, 503, 504];
+const retryableCodes = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT',
+  'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'
+];
+// A 5xx or a dropped connection may come after GitLab applied the request. Requests that
+// must not run twice are only retried when GitLab refused them or never received them
+const unappliedStatuses = [408, 429];
+const unsentCodes = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+const defaultRetryPolicy = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 20000,
+  timeoutMs: 60000, // Longest a single request may take
+  deadline: null // Epoch milliseconds after which no retry is started
+};
+
+let retryPolicy = { ...defaultRetryPolicy };
+let tokenRefresher = null;
+
+/**
+ * Sets the retry policy used by every GitLab request
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled on each retry
+ * @param {number} [options.maxDelayMs] - Upper bound for the backoff delay
+ * @param {number} [options.timeoutMs] - Timeout of a single request
+ * @param {number} [options.deadline] - Epoch milliseconds by which retrying must stop
+ * @returns {Object} The policy in effect
+ */
+export const configureRetries = (options = {}) => {
+  const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  retryPolicy = { ...defaultRetryPolicy, ...defined };
+  return retryPolicy;
+};
+
+/**
+ * Works out the timeout of a request sent now: the configured timeout, cut
+ * down to the time left before the deadline
+ * @param {Object} [policy] - Retry policy
+ * @returns {number} Timeout in milliseconds
+ */
+export const getRequestTimeout = (policy = retryPolicy) => {
+  if (!policy.deadline) return policy.timeoutMs;
+  return Math.max(1, Math.min(policy.timeoutMs, policy.deadline - Date.now()));
+};
+
+// No request may outlive the invocation; a hung connection fails with ECONNABORTED instead
+axios.interceptors.request.use((config) => {
+  config.timeout = getRequestTimeout();
+  return config;
+});
+
+/**
+ * Registers how a replacement token is found when GitLab rejects one with 401
+ * @param {Function|null} refresher - Called with the rejected token; resolves to a new token, or null if there is none
+ */
+export const setTokenRefresher = (refresher) => {
+  tokenRefresher = refresher;
+};
+
+// Builds a request that re-sends a 401'd request with a refreshed token, or returns null if there is none
+const withRefreshedToken = async (error) => {
+  const config = error.config;
+  // LFS requests authenticate with basic auth, everything else with PRIVATE-TOKEN
+  const rejected = config?.headers?.['PRIVATE-TOKEN'] ?? config?.auth?.password;
+  if (!tokenRefresher || !rejected) return null;
+
+  const token = await tokenRefresher(rejected);
+  if (!token || token === rejected) return null;
+
+  const retryConfig = { ...config, headers: { ...config.headers } };
+  if (retryConfig.headers['PRIVATE-TOKEN']) {
+    retryConfig.headers['PRIVATE-TOKEN'] = token;
+  } else {
+    retryConfig.auth = { ...config.auth, password: token };
+  }
+  return () => axios.request(retryConfig);
+};
+
+/**
+ * Tells whether a failed request may be sent again
+ * @param {Error} error - Error from the failed attempt
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent=true] - False for requests that must not be applied twice
+ * @returns {boolean} True if the request can be retried
+ */
+export const isRetryableError = (error, { idempotent = true } = {}) => {
+  if (error.response) {
+    return (idempotent ? retryableStatuses : unappliedStatuses).includes(error.response.status);
+  }
+  return (idempotent ? retryableCodes : unsentCodes).includes(error.code);
+};
+
+// Reads the wait GitLab asks for, in milliseconds, from Retry-After or RateLimit-Reset
+const getHeaderDelay = (headers = {}) => {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    return Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+  }
+  const rateLimitReset = headers['ratelimit-reset'];
+  if (rateLimitReset !== undefined) {
+    const value = Number(rateLimitReset);
+    // GitLab sends an epoch timestamp; the IETF draft uses seconds from now
+    return value > 1e9 ? value * 1000 - Date.now() : value * 1000;
+  }
+  return null;
+};
+
+/**
+ * Works out how long to wait before the next attempt. Server-provided waits
+ * are honoured; otherwise exponential backoff with full jitter is used.
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (error, attempt, policy = retryPolicy) => {
+  const headerDelay = getHeaderDelay(error.response?.headers);
+  if (headerDelay !== null && !Number.isNaN(headerDelay)) {
+    return Math.max(0, Math.ceil(headerDelay));
+  }
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * backoff);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Every attempt is measured, so retried 429s and 5xx show up next to the request that finally succeeded
+const recordAttempt = (operation, startedAt, statusCode) => {
+  putMetric('GitlabLatency', Date.now() - startedAt, 'Milliseconds', { Operation: operation });
+  countMetric('GitlabResponses', { StatusCode: statusCode ?? 'network' });
+};
+
+/**
+ * Runs a GitLab request, retrying 429, 5xx and network failures. A request
+ * rejected with 401 is re-sent once with a token from the registered refresher.
+ * Requests that are not idempotent are only retried when GitLab can't have applied them.
+ * @param {Function} request - Returns the axios promise for one attempt
+ * @param {string} [description] - Used in log messages
+ * @param {string} [operation] - Stable name of the call, used as the Operation metric dimension
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent=true] - False for requests that must not be applied twice
+ * @returns {Promise<Object>} Axios response
+ * @throws {Error} The last error once retries are exhausted or the deadline is near
+ */
+export const withRetry = async (request, description = 'GitLab request', operation = 'Other', options = {}) => {
+  const policy = retryPolicy;
+  let tokenRefreshed = false;
+  for (let attempt = 0; ; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const response = await request();
+      recordAttempt(operation, startedAt, response?.status);
+      return response;
+    } catch (error) {
+      recordAttempt(operation, startedAt, error.response?.status);
+      if (error.response?.status === 401 && !tokenRefreshed) {
+        tokenRefreshed = true;
+        const refreshedRequest = await withRefreshedToken(error);
+        if (refreshedRequest) {
+          logger.warn(`${description} was rejected with 401, retrying once with a refreshed token`);
+          request = refreshedRequest;
+          attempt--;
+          continue;
+        }
+      }
+      if (attempt >= policy.maxRetries || !isRetryableError(error, options)) {
+        throw error;
+      }
+      const reason = error.response?.status ?? error.code;
+      const delay = getRetryDelay(error, attempt, policy);
+      if (policy.deadline && Date.now() + delay > policy.deadline) {
+        logger.warn(`${description} failed with ${reason}; not enough time left to retry in ${delay}ms`);
+        throw error;
+      }
+      logger.warn(`${description} failed with ${reason}, retrying in ${delay}ms (retry ${attempt + 1} of ${policy.maxRetries})`);
+      await sleep(delay);
+    }
+  }
+};
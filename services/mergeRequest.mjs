@@ -0,0 +1,69 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { gitlabApi } from './gitlabApi.mjs';
+import { logger } from '../utils/logger.mjs';
+
+export const DEFAULT_MERGE_REQUEST_TITLE = 'Sync S3 changes';
+// Keeps descriptions well below GitLab's 1,000,000 character limit
+const MAX_LISTED_PATHS = 1000;
+
+/**
+ * Builds a merge request description listing every path the sync branch changes
+ * @param {Object[]} diffs - Diffs from gitlabApi.compareCommits
+ * @returns {string} Markdown description
+ */
+export const buildMergeRequestDescription = (diffs) => {
+  const lines = diffs.slice(0, MAX_LISTED_PATHS).map((diff) => {
+    if (diff.deleted_file) return `- \`${diff.old_path}\` (deleted)`;
+    if (diff.renamed_file) return `- \`${diff.old_path}\` → \`${diff.new_path}\` (renamed)`;
+    return `- \`${diff.new_path}\` (${diff.new_file ? 'added' : 'modified'})`;
+  });
+  if (diffs.length > MAX_LISTED_PATHS) {
+    lines.push(`- …and ${diffs.length - MAX_LISTED_PATHS} more`);
+  }
+  return `Changes mirrored from S3.\n\n**${diffs.length} changed path${diffs.length === 1 ? '' : 's'}**\n\n${lines.join('\n')}\n`;
+};
+
+/**
+ * Opens a merge request from the sync branch into the target branch, or
+ * refreshes the description of the one already open. The description always
+ * lists everything the merge request would change, not just the latest commit.
+ * @param {Object} gitlabConfig - GitLab connection settings; branchName is the target branch
+ * @param {Object} gitlabConfig.mergeRequest - sourceBranch, and optional title and autoMerge
+ * @returns {Promise<Object|null>} { iid, url, created }, or null when the branches don't differ
+ */
+export const syncMergeRequest = async (gitlabConfig) => {
+  const { apiUrl, projectId, branchName, token } = gitlabConfig;
+  const { sourceBranch, title = DEFAULT_MERGE_REQUEST_TITLE, autoMerge } = gitlabConfig.mergeRequest;
+
+  const diffs = await gitlabApi.compareCommits(apiUrl, projectId, branchName, sourceBranch, token, { straight: false });
+  if (diffs.length === 0) {
+    logger.info(`Branch ${sourceBranch} has no changes for ${branchName}, no merge request needed`);
+    return null;
+  }
+  const description = buildMergeRequestDescription(diffs);
+
+  const existing = await gitlabApi.findMergeRequest(apiUrl, projectId, sourceBranch, branchName, token);
+  const mergeRequest = existing
+    ? await gitlabApi.updateMergeRequest(apiUrl, projectId, existing.iid, { description }, token)
+    : await gitlabApi.createMergeRequest(apiUrl, projectId, {
+      source_branch: sourceBranch,
+      target_branch: branchName,
+      title,
+      description,
+      // The next sync starts a fresh branch from the merged target
+      remove_source_branch: true
+    }, token);
+  logger.info(`${existing ? 'Updated' : 'Opened'} merge request !${mergeRequest.iid}: ${mergeRequest.web_url}`);
+
+  if (autoMerge) {
+    try {
+      await gitlabApi.mergeWhenPipelineSucceeds(apiUrl, projectId, mergeRequest.iid, token);
+    } catch (error) {
+      // The merge request stays open for a person to merge
+      logger.warn(`Could not enable auto-merge on !${mergeRequest.iid}`, { error });
+    }
+  }
+  return { iid: mergeRequest.iid, url: mergeRequest.web_url, created: !existing };
+};
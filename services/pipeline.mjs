@@ -0,0 +1,51 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { gitlabApi } from './gitlabApi.mjs';
+import { logger } from '../utils/logger.mjs';
+
+/**
+ * Builds the CI/CD variables describing what a sync changed. Lists are
+ * newline-separated since keys may contain commas.
+ * @param {Object} changes
+ * @param {string[]} changes.buckets - Buckets the changes came from
+ * @param {string[]} [changes.keys] - Changed object keys
+ * @param {string[]} changes.eventTypes - Event names, or Reconcile
+ * @param {string} [changes.prefix] - Reconciled key prefix
+ * @param {string} [pipelineName] - Exposed as PIPELINE_NAME, for use in workflow:name
+ * @returns {Object<string, string>} Pipeline variables
+ */
+export const buildPipelineVariables = ({ buckets, keys, eventTypes, prefix }, pipelineName) => {
+  const variables = {
+    S3_BUCKET: [...new Set(buckets)].join('\n'),
+    S3_EVENT_TYPE: [...new Set(eventTypes)].join('\n')
+  };
+  if (keys) variables.S3_KEYS = [...new Set(keys)].join('\n');
+  if (prefix !== undefined) variables.S3_PREFIX = prefix;
+  if (pipelineName) variables.PIPELINE_NAME = pipelineName;
+  return variables;
+};
+
+/**
+ * Runs a pipeline on the branch the sync committed to. A failure is reported
+ * in the result rather than thrown, since the commits it follows are already in place.
+ * @param {Object} gitlabConfig - GitLab connection settings; branchName is the branch committed to
+ * @param {Object} changes - See buildPipelineVariables
+ * @returns {Promise<Object>} { id, url }, or { error } if the pipeline could not be started
+ */
+export const runSyncPipeline = async (gitlabConfig, changes) => {
+  const { apiUrl, projectId, branchName, token, pipeline = {} } = gitlabConfig;
+  try {
+    const { id, web_url: url } = await gitlabApi.triggerPipeline(apiUrl, projectId, branchName, token, {
+      triggerToken: pipeline.triggerToken,
+      variables: {
+        ...pipeline.variables,
+        ...buildPipelineVariables(changes, gitlabConfig.pipelineName)
+      }
+    });
+    return { id, url };
+  } catch (error) {
+    logger.error(`Failed to start a pipeline on ${branchName}`, { error });
+    return { error: error.message };
+  }
+};
@@ -0,0 +1,115 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { readFile, writeFile } from 'fs/promises';
+import { DynamoDBClient, GetItemCommand, PutItemCommand } from "@aws-sdk/client-dynamodb";
+
+import { normalizeSequencer } from '../utils/sequencerUtils.mjs';
+import { logger } from '../utils/logger.mjs';
+
+// A state store keeps the last applied S3 sequencer per "bucket/key".
+// Every store exposes: get(key) => Promise<string|undefined>, put(key, sequencer) => Promise<void>
+
+export const createMemoryStateStore = (initial = {}) => {
+  const state = new Map(Object.entries(initial));
+  return {
+    get: async (key) => state.get(key),
+    put: async (key, sequencer) => {
+      state.set(key, sequencer);
+    }
+  };
+};
+
+export const createFileStateStore = (filePath) => {
+  const load = async () => {
+    try {
+      return JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  };
+  return {
+    get: async (key) => (await load())[key],
+    put: async (key, sequencer) => {
+      const state = await load();
+      state[key] = sequencer;
+      await writeFile(filePath, JSON.stringify(state, null, 2));
+    }
+  };
+};
+
+// One client for every invocation of a warm container, as for S3
+let dynamoClient = null;
+const getDynamoClient = () => {
+  if (!dynamoClient) {
+    dynamoClient = new DynamoDBClient();
+  }
+  return dynamoClient;
+};
+
+/**
+ * DynamoDB-backed store. The table's partition key is the string attribute
+ * `objectKey`. Writes are conditional, so an older sequencer never replaces a newer one.
+ * @param {string} tableName - DynamoDB table name
+ * @param {DynamoDBClient} [client] - Client to use, defaults to the shared one
+ * @returns {Object} State store
+ */
+export const createDynamoStateStore = (tableName, client = getDynamoClient()) => {
+  return {
+    get: async (key) => {
+      const response = await client.send(new GetItemCommand({
+        TableName: tableName,
+        Key: { objectKey: { S: key } },
+        ConsistentRead: true
+      }));
+      return response.Item?.sequencer?.S;
+    },
+    put: async (key, sequencer) => {
+      const normalized = normalizeSequencer(sequencer);
+      try {
+        await client.send(new PutItemCommand({
+          TableName: tableName,
+          Item: {
+            objectKey: { S: key },
+            sequencer: { S: normalized },
+            updatedAt: { S: new Date().toISOString() }
+          },
+          ConditionExpression: 'attribute_not_exists(objectKey) OR sequencer < :sequencer',
+          ExpressionAttributeValues: { ':sequencer': { S: normalized } }
+        }));
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          logger.info(`Newer sequencer already recorded for ${key}`);
+          return;
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+let stateStoreOverride = null;
+
+// Replaces the store picked from the environment, e.g. with a memory store in tests
+export const setStateStore = (store) => {
+  stateStoreOverride = store;
+};
+
+/**
+ * Returns the configured state store: a table name selects DynamoDB, a state
+ * file a local JSON file. Without either, ordering is not tracked.
+ * @param {Object} [options] - Defaults to SEQUENCER_TABLE and SEQUENCER_STATE_FILE
+ * @param {string} [options.tableName] - DynamoDB table name
+ * @param {string} [options.stateFile] - Path of the JSON state file
+ * @returns {Object|null} State store
+ */
+export const getStateStore = ({
+  tableName = process.env.SEQUENCER_TABLE,
+  stateFile = process.env.SEQUENCER_STATE_FILE
+} = {}) => {
+  if (stateStoreOverride) return stateStoreOverride;
+  if (tableName) return createDynamoStateStore(tableName);
+  if (stateFile) return createFileStateStore(stateFile);
+  return null;
+};
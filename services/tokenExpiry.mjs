@@ -0,0 +1,47 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { gitlabApi } from './gitlabApi.mjs';
+import { logger } from '../utils/logger.mjs';
+
+export const DEFAULT_EXPIRY_WARNING_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tokens already checked by this container, so GitLab is asked about each token once
+const checkedTokens = new Set();
+
+/**
+ * Warns when the GitLab token expires within the warning window. The expiry
+ * comes from the secret's expiresAt field, or else from GitLab. Failing to
+ * read it is logged and never stops the sync.
+ * @param {Object} gitlabConfig - GitLab connection settings
+ * @param {Object} secretValue - Parsed secret
+ * @param {number} [warningDays] - Days ahead of expiry to start warning
+ * @returns {Promise<Object|null>} { expiresAt, daysLeft }, or null when the expiry is unknown or already checked
+ */
+export const checkTokenExpiry = async (gitlabConfig, secretValue, warningDays = DEFAULT_EXPIRY_WARNING_DAYS) => {
+  const { apiUrl, token } = gitlabConfig;
+  if (checkedTokens.has(token)) return null;
+  checkedTokens.add(token);
+
+  let expiresAt = secretValue.expiresAt;
+  if (!expiresAt) {
+    try {
+      expiresAt = (await gitlabApi.getTokenInfo(apiUrl, token)).expires_at;
+    } catch (error) {
+      logger.warn('Could not read the GitLab token expiry', { error });
+      return null;
+    }
+  }
+  if (!expiresAt) return null;
+
+  const daysLeft = Math.floor((Date.parse(expiresAt) - Date.now()) / DAY_MS);
+  if (Number.isNaN(daysLeft)) {
+    logger.warn(`Ignoring unparsable GitLab token expiry ${expiresAt}`);
+    return null;
+  }
+  if (daysLeft <= warningDays) {
+    logger.warn(`GitLab token expires on ${expiresAt} (${daysLeft} day(s) left); rotate it before then`);
+  }
+  return { expiresAt, daysLeft };
+};
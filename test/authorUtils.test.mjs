@@ -0,0 +1,38 @@
+// test/authorUtils.test.mjs
+import { expect } from 'chai';
+import { resolveCommitAuthor } from '../utils/authorUtils.mjs';
+
+describe('Commit author resolution', () => {
+  const alice = { name: 'Alice', email: 'alice@example.com' };
+  const uploads = { name: 'Uploads', email: 'uploads@example.com' };
+  const fallback = { name: 'S3 Sync', email: 'sync@example.com' };
+  const authors = {
+    'AWS:AIDAALICE': alice,
+    'AWS:AROAUPLOADS': uploads,
+  };
+
+  it('should resolve an exactly mapped principal', () => {
+    expect(resolveCommitAuthor('AWS:AIDAALICE', { authors })).to.equal(alice);
+  });
+
+  it('should resolve an assumed-role session through its role', () => {
+    expect(resolveCommitAuthor('AWS:AROAUPLOADS:session-1234', { authors })).to.equal(uploads);
+  });
+
+  it('should prefer an exact session mapping over the role', () => {
+    const session = { name: 'Session', email: 'session@example.com' };
+    expect(resolveCommitAuthor('AWS:AROAUPLOADS:ci', {
+      authors: { ...authors, 'AWS:AROAUPLOADS:ci': session },
+    })).to.equal(session);
+  });
+
+  it('should fall back to the default author', () => {
+    expect(resolveCommitAuthor('AWS:AIDAUNKNOWN', { authors, defaultAuthor: fallback })).to.equal(fallback);
+    expect(resolveCommitAuthor(undefined, { authors, defaultAuthor: fallback })).to.equal(fallback);
+  });
+
+  it('should return null when nothing applies', () => {
+    expect(resolveCommitAuthor('AWS:AIDAUNKNOWN', { authors })).to.be.null;
+    expect(resolveCommitAuthor('AWS:AIDAUNKNOWN')).to.be.null;
+  });
+});
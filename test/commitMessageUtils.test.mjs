@@ -0,0 +1,31 @@
+// test/commitMessageUtils.test.mjs
+import { expect } from 'chai';
+import { buildCommitMessage, renderTemplate } from '../utils/commitMessageUtils.mjs';
+
+describe('Commit message templates', () => {
+  const record = {
+    eventName: 'ObjectCreated:Put',
+    eventTime: '2025-01-01T00:00:00.000Z',
+    principalId: 'AWS:AIDAEXAMPLE',
+    bucketName: 'bucket',
+    objectKey: 'exports/a.csv',
+    versionId: 'v1',
+    eTag: 'abc123',
+    size: 42,
+  };
+
+  it('should keep the built-in messages by default', () => {
+    expect(buildCommitMessage('create', record, 'a.csv')).to.equal('Pipeline Creation - Object exports/a.csv ');
+    expect(buildCommitMessage('deleteMarker', record, 'a.csv')).to.equal('Pipeline Deletion - Delete Marker Created for exports/a.csv');
+  });
+
+  it('should fill every event placeholder', () => {
+    const template = '{key}|{path}|{bucket}|{eventName}|{versionId}|{eTag}|{size}|{principalId}|{eventTime}';
+    expect(buildCommitMessage('update', record, 'data/a.csv', { update: template }))
+      .to.equal('exports/a.csv|data/a.csv|bucket|ObjectCreated:Put|v1|abc123|42|AWS:AIDAEXAMPLE|2025-01-01T00:00:00.000Z');
+  });
+
+  it('should render missing values as empty and leave unknown placeholders alone', () => {
+    expect(renderTemplate('{versionId}-{unknown}', { versionId: undefined })).to.equal('-{unknown}');
+  });
+});
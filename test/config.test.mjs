@@ -0,0 +1,157 @@
+// test/config.test.mjs
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import { sdkStreamMixin } from '@aws-sdk/util-stream-node';
+import { loadConfig, validateConfig } from '../services/config.mjs';
+import {
+  secretsManagerMock,
+  s3Mock,
+  GetObjectCommand,
+  GetSecretValueCommand,
+} from './test-helper.mjs';
+
+const baseEnv = {
+  SECRET_ID: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:config-secret',
+  AWS_REGION: 'us-east-1',
+  GITLAB_API_URL: 'https://gitlab.example.com/api/v4',
+  GITLAB_PROJECT_ID: '123',
+  GITLAB_BRANCH: 'main',
+  SECRET_CACHE_TTL_MS: '0'
+};
+
+const mockConfigObject = (bucket, key, text) => {
+  const stream = new Readable();
+  stream.push(text);
+  stream.push(null);
+  s3Mock.on(GetObjectCommand, { Bucket: bucket, Key: key }).resolves({ Body: sdkStreamMixin(stream) });
+};
+
+const loadError = async (env) => {
+  try {
+    await loadConfig(env);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('Configuration loader', () => {
+  beforeEach(() => {
+    secretsManagerMock.on(GetSecretValueCommand).resolves({ SecretString: JSON.stringify({ token: 'config-token' }) });
+  });
+
+  it('should combine defaults, the secret and the environment', async () => {
+    const config = await loadConfig({ ...baseEnv, LFS_MIN_SIZE: '1024', TRIGGER_PIPELINE: 'true' });
+
+    expect(config.token).to.equal('config-token');
+    expect(config.maxFileSize).to.equal(100 * 1024 * 1024);
+    expect(config.lfs).to.deep.equal({ patterns: [], minSize: 1024 });
+    expect(config.mergeRequest).to.be.null;
+    expect(config.pipeline).to.deep.equal({ enabled: true, variables: {} });
+  });
+
+  it('should list every problem in one error without reading the secret', async () => {
+    const env = {
+      ...baseEnv,
+      GITLAB_API_URL: undefined,
+      MAX_FILE_SIZE: 'lots',
+      PATH_MAPPINGS: '[{"prefix":',
+      MERGE_REQUEST_AUTO_MERGE: 'yes',
+      RECONCILE_CHUNK_SIZE: '0'
+    };
+    const error = await loadError(env);
+
+    expect(error.message).to.match(/^Invalid configuration:\n/);
+    expect(error.message).to.include('apiUrl (GITLAB_API_URL) is required');
+    expect(error.message).to.include('MAX_FILE_SIZE must be a number, got "lots"');
+    expect(error.message).to.include('PATH_MAPPINGS is not valid JSON');
+    expect(error.message).to.include('MERGE_REQUEST_AUTO_MERGE must be "true" or "false"');
+    expect(error.message).to.include('reconcile.chunkSize (RECONCILE_CHUNK_SIZE) must be a positive integer');
+    expect(secretsManagerMock.commandCalls(GetSecretValueCommand)).to.have.length(0);
+  });
+
+  it('should reject a secret without a token', async () => {
+    secretsManagerMock.on(GetSecretValueCommand).resolves({ SecretString: JSON.stringify({ webhookToken: 'hook' }) });
+
+    const error = await loadError(baseEnv);
+    expect(error.message).to.include('token is required');
+  });
+
+  it('should let the environment override a YAML config object', async () => {
+    mockConfigObject('config-bucket', 'sync.yaml', [
+      'maxFileSize: 2048',
+      'keyFilters:',
+      '  include: ["docs/**"]',
+      'mergeRequest:',
+      '  sourceBranch: s3-sync',
+      '  title: From YAML'
+    ].join('\n'));
+
+    const config = await loadConfig({
+      ...baseEnv,
+      CONFIG_S3_URI: 's3://config-bucket/sync.yaml',
+      MERGE_REQUEST_TITLE: 'From env'
+    });
+
+    expect(config.maxFileSize).to.equal(2048);
+    expect(config.keyFilters).to.deep.equal({ include: ['docs/**'], exclude: [] });
+    expect(config.mergeRequest).to.deep.equal({ autoMerge: false, sourceBranch: 's3-sync', title: 'From env' });
+  });
+
+  it('should validate a JSON config object', async () => {
+    mockConfigObject('config-bucket', 'sync.json', JSON.stringify({ lfs: { patterns: '*.bin' } }));
+
+    const error = await loadError({ ...baseEnv, CONFIG_S3_URI: 's3://config-bucket/sync.json' });
+    expect(error.message).to.include('lfs.patterns (LFS_PATTERNS) must be array, got string');
+  });
+
+  it('should take commit authors from the secret and the environment', async () => {
+    secretsManagerMock.on(GetSecretValueCommand).resolves({
+      SecretString: JSON.stringify({
+        token: 'config-token',
+        authors: { 'AWS:ALICE': { name: 'Alice', email: 'alice@example.com' } },
+        defaultAuthor: { name: 'Sync Bot', email: 'bot@example.com' }
+      })
+    });
+
+    const config = await loadConfig({
+      ...baseEnv,
+      COMMIT_AUTHORS: JSON.stringify({ 'AWS:BOB': { name: 'Bob', email: 'bob@example.com' } })
+    });
+
+    expect(Object.keys(config.commitAuthors.authors)).to.deep.equal(['AWS:ALICE', 'AWS:BOB']);
+    expect(config.commitAuthors.defaultAuthor.name).to.equal('Sync Bot');
+  });
+
+  it('should check path mapping rules, encoding overrides and the merge request branch', () => {
+    const problems = validateConfig({
+      secretId: 's', region: 'r', apiUrl: 'https://x', projectId: 1, branchName: 'main', token: 't',
+      pathMappings: [{ prefix: 'docs/', match: '(unclosed' }],
+      reverseSync: { pathMappings: [{ prefix: 'site/', target: 'public' }] },
+      encodingOverrides: { '*.csv': 'utf8' },
+      mergeRequest: { sourceBranch: 'main' }
+    });
+
+    expect(problems).to.have.length(4);
+    expect(problems[0]).to.match(/^encodingOverrides \(ENCODING_OVERRIDES\) must map globs to "text" or "base64"/);
+    expect(problems[1]).to.match(/^pathMappings \(PATH_MAPPINGS\) rule 0 match is not a valid regular expression/);
+    expect(problems[2]).to.include('rule 0 has unknown key target');
+    expect(problems[3]).to.include('mergeRequest.sourceBranch (MERGE_REQUEST_BRANCH) must differ from branchName');
+  });
+
+  it('should check that commit templates set known kinds to strings', () => {
+    const base = { secretId: 's', region: 'r', apiUrl: 'https://x', projectId: 1, branchName: 'main', token: 't' };
+
+    const [unknown] = validateConfig({ ...base, commitTemplates: { created: 'Add {key}' } });
+    const [notString] = validateConfig({ ...base, commitTemplates: { delete: 'Remove {key}', update: 42 } });
+
+    expect(unknown).to.match(/^commitTemplates \(COMMIT_MESSAGE_TEMPLATES\) has unknown key created; templates may set create, update, copy, delete, deleteMarker/);
+    expect(notString).to.include('commitTemplates (COMMIT_MESSAGE_TEMPLATES) update must be string');
+    expect(validateConfig({ ...base, commitTemplates: { create: 'Add {key}' } })).to.deep.equal([]);
+  });
+
+  it('should accept the defaults once the required settings are present', () => {
+    expect(validateConfig({ secretId: 's', region: 'r', apiUrl: 'https://x', projectId: 1, branchName: 'main', token: 't' }))
+      .to.deep.equal([]);
+  });
+});
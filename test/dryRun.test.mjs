@@ -0,0 +1,64 @@
+// test/dryRun.test.mjs
+import { expect } from 'chai';
+import { handler } from '../index.mjs';
+import {
+  axiosPostStub,
+  axiosGetStub,
+  mockGitlabFileExists,
+  createS3Record,
+} from './test-helper.mjs';
+
+describe('Dry run', () => {
+  afterEach(() => {
+    delete process.env.DRY_RUN;
+    delete process.env.LFS_PATTERNS;
+  });
+
+  it('should return the planned commit instead of committing', async () => {
+    mockGitlabFileExists('old content', 'docs/old.txt');
+
+    const summary = await handler({
+      dryRun: true,
+      Records: [createS3Record('ObjectCreated:Put', 'docs/new.txt'), createS3Record('ObjectRemoved:Delete', 'docs/old.txt')]
+    });
+
+    expect(axiosPostStub.called).to.be.false;
+    expect(summary.dryRun).to.be.true;
+    expect(summary.processed).to.equal(2);
+    expect(summary.plannedCommits).to.have.length(1);
+    const [plan] = summary.plannedCommits;
+    expect(plan.branch).to.equal('main');
+    expect(plan.actions).to.deep.equal([
+      { action: 'create', path: 'docs/new.txt', encoding: 'text', size: 17, message: plan.actions[0].message },
+      { action: 'delete', path: 'docs/old.txt', message: plan.actions[1].message }
+    ]);
+    expect(plan.actions[0].message).to.include('docs/new.txt');
+    expect(plan.message).to.include('2 objects');
+  });
+
+  it('should still drop changes the branch already holds when DRY_RUN is set', async () => {
+    process.env.DRY_RUN = 'true';
+    mockGitlabFileExists('mock file content', 'docs/same.txt');
+
+    const summary = await handler({ Records: [createS3Record('ObjectCreated:Put', 'docs/same.txt')] });
+
+    expect(summary.dryRun).to.be.true;
+    expect(summary.plannedCommits).to.deep.equal([]);
+    expect(axiosPostStub.called).to.be.false;
+  });
+
+  it('should plan LFS files without uploading them', async () => {
+    process.env.LFS_PATTERNS = JSON.stringify(['*.bin']);
+
+    const summary = await handler({ dryRun: true, Records: [createS3Record('ObjectCreated:Put', 'data/model.bin')] });
+
+    const [plan] = summary.plannedCommits;
+    expect(plan.actions.map(({ path, lfs, size }) => ({ path, lfs, size }))).to.deep.equal([
+      { path: 'data/model.bin', lfs: true, size: 17 },
+      { path: '.gitattributes', lfs: undefined, size: Buffer.byteLength('*.bin filter=lfs diff=lfs merge=lfs -text\n') }
+    ]);
+    // The project lookup only happens for an upload
+    expect(axiosGetStub.calledWithMatch(/\/projects\/123$/)).to.be.false;
+    expect(axiosPostStub.called).to.be.false;
+  });
+});
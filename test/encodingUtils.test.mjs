@@ -0,0 +1,46 @@
+// test/encodingUtils.test.mjs
+import { expect } from 'chai';
+import { detectEncoding, getByteOrderMark, isBinaryContentType } from '../utils/encodingUtils.mjs';
+
+describe('Content encoding detection', () => {
+  it('should send valid UTF-8 as text regardless of extension', () => {
+    const buffer = Buffer.from('héllo wörld\n', 'utf8');
+    expect(detectEncoding(buffer, { filePath: 'data/readme.bin' }).encoding).to.equal('text');
+  });
+
+  it('should keep a UTF-8 byte order mark as text, since it round-trips', () => {
+    const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('a,b\n1,2\n')]);
+    expect(getByteOrderMark(buffer)).to.equal('utf-8');
+    expect(detectEncoding(buffer, { filePath: 'table.csv' }).encoding).to.equal('text');
+  });
+
+  it('should send UTF-16 text as base64', () => {
+    const buffer = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('hello', 'utf16le')]);
+    expect(detectEncoding(buffer, { filePath: 'notes.txt' })).to.deep.equal({ encoding: 'base64', reason: 'utf-16le byte order mark' });
+  });
+
+  it('should send extensionless content with null bytes as base64', () => {
+    const buffer = Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x00, 0x00]);
+    expect(detectEncoding(buffer, { filePath: 'bin/tool' })).to.deep.equal({ encoding: 'base64', reason: 'null byte' });
+  });
+
+  it('should send invalid UTF-8 as base64', () => {
+    const buffer = Buffer.from([0x52, 0x49, 0x46, 0x46, 0xc3, 0x28, 0xff]);
+    expect(detectEncoding(buffer, { filePath: 'image.webp' })).to.deep.equal({ encoding: 'base64', reason: 'not valid UTF-8' });
+  });
+
+  it('should trust binary content types but not application/octet-stream', () => {
+    const buffer = Buffer.from('wOF2', 'ascii');
+    expect(isBinaryContentType('font/woff2')).to.be.true;
+    expect(isBinaryContentType('image/svg+xml')).to.be.false;
+    expect(detectEncoding(buffer, { filePath: 'font.woff2', contentType: 'font/woff2' }).encoding).to.equal('base64');
+    expect(detectEncoding(buffer, { filePath: 'plain', contentType: 'application/octet-stream' }).encoding).to.equal('text');
+  });
+
+  it('should apply per-path overrides, but never send non-round-trippable bytes as text', () => {
+    const overrides = { 'exports/**': 'base64', '*.dat': 'text' };
+    expect(detectEncoding(Buffer.from('plain'), { filePath: 'exports/a/b.txt', overrides }).encoding).to.equal('base64');
+    expect(detectEncoding(Buffer.from('a\0b'), { filePath: 'x/y.dat', overrides }).encoding).to.equal('text');
+    expect(detectEncoding(Buffer.from([0xff, 0x00]), { filePath: 'x/z.dat', overrides }).encoding).to.equal('base64');
+  });
+});
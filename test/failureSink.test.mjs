@@ -0,0 +1,165 @@
+// test/failureSink.test.mjs
+import { expect } from 'chai';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { sdkStreamMixin } from '@aws-sdk/util-stream-node';
+import { DeleteObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { handler } from '../index.mjs';
+import { buildFailure, createS3FailureSink, getFailureId } from '../services/failureSink.mjs';
+import {
+  s3Mock,
+  axiosPostStub,
+  mockS3GetObjectError,
+  GetObjectCommand,
+  createS3Record,
+  createS3Event,
+} from './test-helper.mjs';
+
+describe('Failure sink and replay', () => {
+  let directory;
+
+  const createEvent = (key) => createS3Event(
+    createS3Record('ObjectCreated:Put', key, { bucket: 'failure-bucket', object: { size: 7, sequencer: '0A1' } })
+  );
+
+  const storedFailures = async () => {
+    const names = await readdir(directory).catch(() => []);
+    return Promise.all(names.map(async (name) => JSON.parse(await readFile(join(directory, name), 'utf8'))));
+  };
+
+  const mockObjectContent = () => {
+    s3Mock.on(GetObjectCommand).callsFake(() => {
+      const stream = new Readable();
+      stream.push('content');
+      stream.push(null);
+      return { Body: sdkStreamMixin(stream), ContentType: 'text/plain' };
+    });
+  };
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'failures-'));
+    process.env.FAILURE_DIRECTORY = directory;
+  });
+
+  afterEach(async () => {
+    delete process.env.FAILURE_DIRECTORY;
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should store the normalized record, error class and attempt count of a failed record', async () => {
+    mockS3GetObjectError(Object.assign(new Error('Access Denied'), { name: 'AccessDenied' }));
+
+    await handler(createEvent('docs/a.txt')).catch(() => {});
+
+    const [failure] = await storedFailures();
+    expect(failure.id).to.equal(getFailureId(failure.record));
+    expect(failure.attempts).to.equal(1);
+    expect(failure.error).to.deep.equal({ class: 'AccessDenied', message: 'Access Denied' });
+    expect(failure.record).to.include({ eventName: 'ObjectCreated:Put', bucketName: 'failure-bucket', objectKey: 'docs/a.txt' });
+  });
+
+  it('should take the attempt count of SQS records from the receive count', async () => {
+    mockS3GetObjectError(new Error('Access Denied'));
+    const event = {
+      Records: [{
+        eventSource: 'aws:sqs',
+        messageId: 'message-1',
+        attributes: { ApproximateReceiveCount: '3' },
+        body: JSON.stringify(createEvent('docs/b.txt'))
+      }]
+    };
+
+    await handler(event);
+
+    const [failure] = await storedFailures();
+    expect(failure.attempts).to.equal(3);
+  });
+
+  it('should drop the stored failure once an SQS redelivery succeeds', async () => {
+    const sqsEvent = (receiveCount) => ({
+      Records: [{
+        eventSource: 'aws:sqs',
+        messageId: 'message-2',
+        attributes: { ApproximateReceiveCount: receiveCount },
+        body: JSON.stringify(createEvent('docs/e.txt'))
+      }]
+    });
+    mockS3GetObjectError(new Error('Access Denied'));
+    await handler(sqsEvent('1'));
+    expect(await storedFailures()).to.have.length(1);
+
+    mockObjectContent();
+    const summary = await handler(sqsEvent('2'));
+
+    expect(summary.batchItemFailures).to.deep.equal([]);
+    expect(await storedFailures()).to.deep.equal([]);
+  });
+
+  it('should not touch the sink for records that succeed on their first attempt', async () => {
+    delete process.env.FAILURE_DIRECTORY;
+    process.env.FAILURE_BUCKET = 'failure-store';
+    mockObjectContent();
+
+    try {
+      await handler(createS3Event(
+        createS3Record('ObjectCreated:Put', 'docs/f.txt'),
+        createS3Record('ObjectCreated:Put', 'docs/g.txt'),
+        createS3Record('ObjectCreated:Put', 'docs/h.txt')
+      ));
+    } finally {
+      delete process.env.FAILURE_BUCKET;
+    }
+
+    expect(s3Mock.commandCalls(DeleteObjectCommand)).to.have.length(0);
+  });
+
+  it('should replay stored records and drop the ones that succeed', async () => {
+    mockS3GetObjectError(new Error('Access Denied'));
+    await handler(createEvent('docs/c.txt')).catch(() => {});
+    const [failure] = await storedFailures();
+
+    mockObjectContent();
+    const summary = await handler({ action: 'replay' });
+
+    expect(summary.replayed).to.deep.equal({ succeeded: [failure.id], failed: [] });
+    expect(summary.results[0]).to.include({ failureId: failure.id, status: 'processed' });
+    expect(axiosPostStub.calledWithMatch(/\/repository\/commits$/)).to.be.true;
+    expect(await storedFailures()).to.deep.equal([]);
+  });
+
+  it('should keep records that fail again with their attempt count raised', async () => {
+    mockS3GetObjectError(new Error('Access Denied'));
+    await handler(createEvent('docs/d.txt')).catch(() => {});
+
+    const summary = await handler({ action: 'replay' });
+
+    const [failure] = await storedFailures();
+    expect(summary.replayed).to.deep.equal({ succeeded: [], failed: [failure.id] });
+    expect(failure.attempts).to.equal(2);
+  });
+
+  it('should refuse to replay without a failure sink', async () => {
+    delete process.env.FAILURE_DIRECTORY;
+
+    let error = null;
+    try {
+      await handler({ action: 'replay' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include('FAILURE_BUCKET or FAILURE_DIRECTORY');
+  });
+
+  it('should write S3 failure documents under the prefix', async () => {
+    const record = { eventName: 'ObjectRemoved:Delete', bucketName: 'b', objectKey: 'k' };
+    const failure = buildFailure(record, new Error('boom'), 1);
+
+    await createS3FailureSink('failure-store', 'sync-failures/').put(failure);
+
+    const [put] = s3Mock.commandCalls(PutObjectCommand);
+    expect(put.args[0].input).to.include({ Bucket: 'failure-store', Key: `sync-failures/${failure.id}.json` });
+    expect(JSON.parse(put.args[0].input.Body.toString())).to.deep.include({ attempts: 1, record });
+  });
+});
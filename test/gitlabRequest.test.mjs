@@ -0,0 +1,192 @@
+// test/gitlabRequest.test.mjs
+import { expect } from 'chai';
+import sinon from 'sinon';
+import axios from 'axios';
+import {
+  configureRetries,
+  getRequestTimeout,
+  getRetryDelay,
+  isRetryableError,
+  setTokenRefresher,
+  withRetry
+} from '../services/gitlabRequest.mjs';
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+};
+
+describe('GitLab request retries', () => {
+  beforeEach(() => {
+    configureRetries({ maxRetries: 3, baseDelayMs: 0 });
+  });
+
+  afterEach(() => {
+    configureRetries();
+  });
+
+  it('should retry 429, 5xx and network errors but not other 4xx', () => {
+    const networkError = new Error('socket hang up');
+    networkError.code = 'ECONNRESET';
+    expect(isRetryableError(httpError(429))).to.be.true;
+    expect(isRetryableError(httpError(503))).to.be.true;
+    expect(isRetryableError(networkError)).to.be.true;
+    expect(isRetryableError(httpError(400))).to.be.false;
+    expect(isRetryableError(httpError(401))).to.be.false;
+    expect(isRetryableError(new Error('plain failure'))).to.be.false;
+  });
+
+  it('should only retry requests that must not run twice when GitLab cannot have applied them', async () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const options = { idempotent: false };
+    expect(isRetryableError(httpError(429), options)).to.be.true;
+    expect(isRetryableError(refused, options)).to.be.true;
+    expect(isRetryableError(httpError(502), options)).to.be.false;
+    expect(isRetryableError(reset, options)).to.be.false;
+
+    const request = sinon.stub().rejects(httpError(502));
+    let error = null;
+    try { await withRetry(request, 'Commit', 'Commit', options); } catch (e) { error = e; }
+
+    expect(error.response.status).to.equal(502);
+    expect(request.calledOnce).to.be.true;
+  });
+
+  it('should cut the request timeout down to the time left before the deadline', () => {
+    expect(getRequestTimeout({ timeoutMs: 60000, deadline: null })).to.equal(60000);
+    expect(getRequestTimeout({ timeoutMs: 60000, deadline: Date.now() + 5000 })).to.be.within(4900, 5000);
+    expect(getRequestTimeout({ timeoutMs: 60000, deadline: Date.now() - 10 })).to.equal(1);
+  });
+
+  it('should resolve once a retried request succeeds', async () => {
+    const request = sinon.stub();
+    request.onFirstCall().rejects(httpError(502));
+    request.onSecondCall().rejects(httpError(429, { 'retry-after': '0' }));
+    request.onThirdCall().resolves({ status: 201 });
+
+    const response = await withRetry(request);
+
+    expect(response.status).to.equal(201);
+    expect(request.callCount).to.equal(3);
+  });
+
+  it('should give up after the configured number of retries', async () => {
+    configureRetries({ maxRetries: 2, baseDelayMs: 0 });
+    const request = sinon.stub().rejects(httpError(500));
+
+    let error = null;
+    try { await withRetry(request); } catch (e) { error = e; }
+
+    expect(error.response.status).to.equal(500);
+    expect(request.callCount).to.equal(3);
+  });
+
+  it('should not retry a non-retryable error', async () => {
+    const request = sinon.stub().rejects(httpError(403));
+
+    let error = null;
+    try { await withRetry(request); } catch (e) { error = e; }
+
+    expect(error.response.status).to.equal(403);
+    expect(request.calledOnce).to.be.true;
+  });
+
+  it('should stop retrying when the wait would pass the deadline', async () => {
+    configureRetries({ maxRetries: 3, deadline: Date.now() + 1000 });
+    const request = sinon.stub().rejects(httpError(429, { 'retry-after': '30' }));
+
+    let error = null;
+    try { await withRetry(request); } catch (e) { error = e; }
+
+    expect(error.response.status).to.equal(429);
+    expect(request.calledOnce).to.be.true;
+  });
+
+  it('should honour Retry-After and RateLimit-Reset headers', () => {
+    const policy = { baseDelayMs: 500, maxDelayMs: 20000 };
+    expect(getRetryDelay(httpError(429, { 'retry-after': '7' }), 0, policy)).to.equal(7000);
+    expect(getRetryDelay(httpError(429, { 'ratelimit-reset': '3' }), 0, policy)).to.equal(3000);
+
+    const resetAt = Math.floor(Date.now() / 1000) + 60;
+    const delay = getRetryDelay(httpError(429, { 'ratelimit-reset': String(resetAt) }), 0, policy);
+    expect(delay).to.be.within(58000, 60000);
+  });
+
+  it('should use jittered exponential backoff without headers', () => {
+    const policy = { baseDelayMs: 500, maxDelayMs: 3000 };
+    for (let i = 0; i < 20; i++) {
+      expect(getRetryDelay(httpError(503), 1, policy)).to.be.within(0, 999);
+      expect(getRetryDelay(httpError(503), 5, policy)).to.be.within(0, 2999);
+    }
+  });
+
+  describe('Token refresh on 401', () => {
+    let axiosRequestStub;
+
+    const unauthorized = (config) => {
+      const error = httpError(401);
+      error.config = config;
+      return error;
+    };
+
+    beforeEach(() => {
+      axiosRequestStub = sinon.stub(axios, 'request').resolves({ status: 200 });
+    });
+
+    afterEach(() => {
+      axiosRequestStub.restore();
+      setTokenRefresher(null);
+    });
+
+    it('should re-send the request once with the refreshed token', async () => {
+      const refresher = sinon.stub().resolves('new-token');
+      setTokenRefresher(refresher);
+      const config = { method: 'post', url: 'https://gitlab.example.com/api', headers: { 'PRIVATE-TOKEN': 'old-token' } };
+
+      const response = await withRetry(sinon.stub().rejects(unauthorized(config)));
+
+      expect(response.status).to.equal(200);
+      expect(refresher.calledOnceWith('old-token')).to.be.true;
+      expect(axiosRequestStub.firstCall.args[0]).to.deep.include({ method: 'post', url: 'https://gitlab.example.com/api' });
+      expect(axiosRequestStub.firstCall.args[0].headers['PRIVATE-TOKEN']).to.equal('new-token');
+      expect(config.headers['PRIVATE-TOKEN']).to.equal('old-token');
+    });
+
+    it('should replace the basic auth password of LFS requests', async () => {
+      setTokenRefresher(async () => 'new-token');
+      const config = { url: 'lfs', headers: {}, auth: { username: 'oauth2', password: 'old-token' } };
+
+      await withRetry(sinon.stub().rejects(unauthorized(config)));
+
+      expect(axiosRequestStub.firstCall.args[0].auth).to.deep.equal({ username: 'oauth2', password: 'new-token' });
+    });
+
+    it('should throw the 401 when no other token is available', async () => {
+      setTokenRefresher(async () => null);
+      const config = { headers: { 'PRIVATE-TOKEN': 'old-token' } };
+
+      let error = null;
+      try { await withRetry(sinon.stub().rejects(unauthorized(config))); } catch (e) { error = e; }
+
+      expect(error.response.status).to.equal(401);
+      expect(axiosRequestStub.called).to.be.false;
+    });
+
+    it('should not refresh a second time when the new token is rejected too', async () => {
+      const refresher = sinon.stub().resolves('new-token');
+      setTokenRefresher(refresher);
+      axiosRequestStub.rejects(unauthorized({ headers: { 'PRIVATE-TOKEN': 'new-token' } }));
+
+      let error = null;
+      try {
+        await withRetry(sinon.stub().rejects(unauthorized({ headers: { 'PRIVATE-TOKEN': 'old-token' } })));
+      } catch (e) { error = e; }
+
+      expect(error.response.status).to.equal(401);
+      expect(refresher.calledOnce).to.be.true;
+      expect(axiosRequestStub.calledOnce).to.be.true;
+    });
+  });
+});
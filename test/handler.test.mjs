@@ -4,6 +4,7 @@ import chaiAsPromised from 'chai-as-promised';
 import sinon from 'sinon';
 import { Readable } from 'stream';
 import { sdkStreamMixin } from '@aws-sdk/util-stream-node';
+import { createHash } from 'crypto';
 
 
 // Import the necessary items from your helper file
@@ -13,6 +14,9 @@ import {
   axiosPostStub,
   axiosPutStub,
   axiosDeleteStub,
+  axiosHeadStub,
+  axiosGetStub,
+  mockGitlabFileExists,
   GetObjectCommand,
   GetSecretValueCommand,
 } from './test-helper.mjs';
@@ -22,6 +26,8 @@ import {
 
 // Import the handler function to be tested
 import { handler } from '../index.mjs';
+import { gitlabApi } from '../services/gitlabApi.mjs';
+import { addSyncTrailer } from '../utils/commitMessageUtils.mjs';
 
 // Use chai-as-promised plugin
 chai.use(chaiAsPromised);
@@ -42,6 +48,7 @@ describe('Lambda Handler Tests', () => {
       GITLAB_PROJECT_ID: '12345',
       GITLAB_BRANCH: 'main',
       AWS_REGION: 'us-east-1',
+      SECRET_CACHE_TTL_MS: '0',
     };
 
   });
@@ -56,7 +63,7 @@ describe('Lambda Handler Tests', () => {
   // Test suite for successful create/update events
   describe('Successful Create/Update Events', () => {
     // Test case for ObjectCreated:Put event
-    it('should process a create event (ObjectCreated:Put) and make a POST request to GitLab', async () => {
+    it('should process a create event (ObjectCreated:Put) and commit a create action to GitLab', async () => {
       const bucketName = 'test-bucket';
       const objectKey = 'path/to/new-file.txt';
       const mockFileContentString = 'This is the content of the new file.';
@@ -73,8 +80,8 @@ describe('Lambda Handler Tests', () => {
       expect(s3Calls.length).to.equal(1);
       expect(s3Calls[0].args[0].input).to.deep.equal({ Bucket: bucketName, Key: objectKey });
       expect(axiosPostStub.calledOnce).to.be.true;
-      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/files/${encodeURIComponent(objectKey)}`;
-      const expectedPayload = { branch: process.env.GITLAB_BRANCH, content: mockFileContentString, commit_message: `Pipeline Creation - Object ${objectKey} `, encoding: 'text' };
+      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/commits`;
+      const expectedPayload = { branch: process.env.GITLAB_BRANCH, commit_message: addSyncTrailer(`Pipeline Creation - Object ${objectKey} `), actions: [{ action: 'create', file_path: objectKey, content: mockFileContentString, encoding: 'text' }] };
       const expectedHeaders = { 'PRIVATE-TOKEN': 'mock-gitlab-token', 'Content-Type': 'application/json' };
       expect(axiosPostStub.firstCall.args[0]).to.equal(expectedUrl);
       expect(axiosPostStub.firstCall.args[1]).to.deep.equal(expectedPayload);
@@ -84,7 +91,7 @@ describe('Lambda Handler Tests', () => {
     });
 
     // Test case for ObjectCreated:Copy event
-    it('should process a create event (ObjectCreated:Copy) and make a POST request with copy commit message', async () => {
+    it('should process a create event (ObjectCreated:Copy) and commit with copy commit message', async () => {
       const bucketName = 'test-bucket-copy';
       const objectKey = 'path/to/copied-file.log';
       const mockFileContentString = 'This file was copied.';
@@ -101,8 +108,8 @@ describe('Lambda Handler Tests', () => {
       expect(s3Calls.length).to.equal(1);
       expect(s3Calls[0].args[0].input).to.deep.equal({ Bucket: bucketName, Key: objectKey });
       expect(axiosPostStub.calledOnce).to.be.true;
-      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/files/${encodeURIComponent(objectKey)}`;
-      const expectedPayload = { branch: process.env.GITLAB_BRANCH, content: mockFileContentString, commit_message: `Pipeline Creation - Object ${objectKey} via Copy`, encoding: 'text' };
+      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/commits`;
+      const expectedPayload = { branch: process.env.GITLAB_BRANCH, commit_message: addSyncTrailer(`Pipeline Creation - Object ${objectKey} via Copy`), actions: [{ action: 'create', file_path: objectKey, content: mockFileContentString, encoding: 'text' }] };
       const expectedHeaders = { 'PRIVATE-TOKEN': 'mock-gitlab-token', 'Content-Type': 'application/json' };
       expect(axiosPostStub.firstCall.args[0]).to.equal(expectedUrl);
       expect(axiosPostStub.firstCall.args[1]).to.deep.equal(expectedPayload);
@@ -113,13 +120,12 @@ describe('Lambda Handler Tests', () => {
 
     it('should process an update event and make a PUT request to GitLab'); // Placeholder
 
-    // Test case for fallback from POST (add) to PUT (update)
-    it('should fallback to update (PUT) if add (POST) fails with "file already exists" error', async () => {
-      // Arrange: Mock event, S3 success, POST failure (400), PUT success
+    // Test case for existing files being committed as updates
+    it('should commit an update action if the file already exists in GitLab', async () => {
+      // Arrange: Mock event, S3 success, file present on the branch
       const bucketName = 'test-bucket-fallback';
       const objectKey = 'path/to/existing-file.js';
       const mockFileContentString = 'Updated content for existing file.';
-      const mockFileContentBuffer = Buffer.from(mockFileContentString, 'utf-8');
       const stream = new Readable();
       stream.push(mockFileContentString);
       stream.push(null);
@@ -127,7 +133,7 @@ describe('Lambda Handler Tests', () => {
 
       const mockEvent = {
         Records: [{
-          eventName: 'ObjectCreated:Put', // Event triggers addOrUpdateFile
+          eventName: 'ObjectCreated:Put', // Event triggers createOrUpdate
           userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' },
           s3: {
             bucket: { name: bucketName },
@@ -142,46 +148,80 @@ describe('Lambda Handler Tests', () => {
         ContentType: 'application/javascript', // Example content type
       });
 
-      // Mock Axios POST to fail with "file exists" error
-      const postError = new Error('GitLab API Error: File exists');
-      postError.response = { status: 400, data: { message: 'A file with this name already exists' } };
-      axiosPostStub.rejects(postError);
-
-      // Ensure Axios PUT resolves (default behavior from beforeEach)
-      // axiosPutStub.resolves({ status: 200, data: { message: 'File updated' } }); // Already default
+      // Mock Axios HEAD to report the file as present
+      mockGitlabFileExists();
 
-      // Act: Call the handler - should not throw, should succeed via PUT
+      // Act: Call the handler - should not throw
       await handler(mockEvent);
 
-      // Assert: Verify interactions and fallback behavior
+      // Assert: Verify interactions
       // 1. Secrets Manager called
       expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(1);
       // 2. S3 GetObject called
       expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(1);
-      // 3. Axios POST was called once
+      // 3. Existence checked before the commit
+      expect(axiosHeadStub.calledOnce).to.be.true;
+      expect(axiosHeadStub.firstCall.args[0]).to.equal(`${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/files/${encodeURIComponent(objectKey)}`);
+      expect(axiosHeadStub.firstCall.args[1].params).to.deep.equal({ ref: process.env.GITLAB_BRANCH });
+      // 4. A single commit carries the update
       expect(axiosPostStub.calledOnce).to.be.true;
-      // 4. Axios PUT was called once after POST
-      expect(axiosPutStub.calledOnce).to.be.true;
-      sinon.assert.callOrder(axiosPostStub, axiosPutStub);
+      sinon.assert.callOrder(axiosHeadStub, axiosPostStub);
 
-      // 5. Check PUT arguments (uses original commit message from createHandler)
-      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/files/${encodeURIComponent(objectKey)}`;
+      // 5. Check commit arguments (commit message switched to Update)
+      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/commits`;
       const expectedCommitMessage = `Pipeline Update - Object ${objectKey} `;
-      const expectedPutPayload = {
+      const expectedPayload = {
         branch: process.env.GITLAB_BRANCH,
-        content: mockFileContentString,
-        commit_message: expectedCommitMessage,
-        encoding: 'text',
+        commit_message: addSyncTrailer(expectedCommitMessage),
+        actions: [{ action: 'update', file_path: objectKey, content: mockFileContentString, encoding: 'text' }],
       };
-      const expectedPutHeaders = {
+      const expectedHeaders = {
         'PRIVATE-TOKEN': 'mock-gitlab-token',
         'Content-Type': 'application/json',
       };
-      expect(axiosPutStub.firstCall.args[0]).to.equal(expectedUrl);
-      expect(axiosPutStub.firstCall.args[1]).to.deep.equal(expectedPutPayload);
-      expect(axiosPutStub.firstCall.args[2].headers).to.deep.include(expectedPutHeaders);
+      expect(axiosPostStub.firstCall.args[0]).to.equal(expectedUrl);
+      expect(axiosPostStub.firstCall.args[1]).to.deep.equal(expectedPayload);
+      expect(axiosPostStub.firstCall.args[2].headers).to.deep.include(expectedHeaders);
 
-      // 6. Axios DELETE not called
+      // 6. Single-file endpoints not called
+      expect(axiosPutStub.called).to.be.false;
+      expect(axiosDeleteStub.called).to.be.false;
+    });
+
+    // Test case for several records landing in one commit
+    it('should commit every record of a batch in a single atomic commit', async () => {
+      const bucketName = 'test-bucket-batch';
+      const mockEvent = {
+        Records: ['path/to/a.txt', 'path/to/b.txt'].map((key) => ({
+          eventName: 'ObjectCreated:Put',
+          userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' },
+          s3: { bucket: { name: bucketName }, object: { key } },
+        })).concat([{
+          eventName: 'ObjectRemoved:Delete',
+          userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' },
+          s3: { bucket: { name: bucketName }, object: { key: 'path/to/c.txt' } },
+        }]),
+      };
+      s3Mock.on(GetObjectCommand).callsFake(() => {
+        const stream = new Readable();
+        stream.push('batched content');
+        stream.push(null);
+        return { Body: sdkStreamMixin(stream), ContentType: 'text/plain' };
+      });
+      mockGitlabFileExists(undefined, 'path/to/c.txt');
+
+      await handler(mockEvent);
+
+      expect(axiosPostStub.calledOnce).to.be.true;
+      const payload = axiosPostStub.firstCall.args[1];
+      expect(payload.actions.map(({ action, file_path }) => ({ action, file_path }))).to.deep.equal([
+        { action: 'create', file_path: 'path/to/a.txt' },
+        { action: 'create', file_path: 'path/to/b.txt' },
+        { action: 'delete', file_path: 'path/to/c.txt' },
+      ]);
+      expect(payload.commit_message).to.match(/^Pipeline Sync - 3 objects\n\n/);
+      expect(payload.commit_message).to.include('- Pipeline Deletion - Object path/to/c.txt Removed');
+      expect(axiosPutStub.called).to.be.false;
       expect(axiosDeleteStub.called).to.be.false;
     });
   });
@@ -189,22 +229,22 @@ describe('Lambda Handler Tests', () => {
   // Test suite for successful remove events
   describe('Successful Remove Events', () => {
     // Test case for ObjectRemoved:Delete event
-    it('should process an ObjectRemoved:Delete event and make a DELETE request to GitLab', async () => {
+    it('should process an ObjectRemoved:Delete event and commit a delete action to GitLab', async () => {
       const bucketName = 'test-bucket-delete';
       const objectKey = 'path/to/deleted-file.csv';
       const mockEvent = { Records: [{ eventName: 'ObjectRemoved:Delete', userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' }, s3: { bucket: { name: bucketName }, object: { key: objectKey } } }] };
+      mockGitlabFileExists();
       await handler(mockEvent);
       expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(1);
       expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
-      expect(axiosDeleteStub.calledOnce).to.be.true;
-      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/files/${encodeURIComponent(objectKey)}`;
-      const expectedData = { branch: process.env.GITLAB_BRANCH, commit_message: `Pipeline Deletion - Object ${objectKey} Removed` };
+      expect(axiosPostStub.calledOnce).to.be.true;
+      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/commits`;
+      const expectedData = { branch: process.env.GITLAB_BRANCH, commit_message: addSyncTrailer(`Pipeline Deletion - Object ${objectKey} Removed`), actions: [{ action: 'delete', file_path: objectKey }] };
       const expectedHeaders = { 'PRIVATE-TOKEN': 'mock-gitlab-token' };
-      expect(axiosDeleteStub.firstCall.args[0]).to.equal(expectedUrl);
-      expect(axiosDeleteStub.firstCall.args[1]).to.exist;
-      expect(axiosDeleteStub.firstCall.args[1].headers).to.deep.include(expectedHeaders);
-      expect(axiosDeleteStub.firstCall.args[1].data).to.deep.equal(expectedData);
-      expect(axiosPostStub.called).to.be.false;
+      expect(axiosPostStub.firstCall.args[0]).to.equal(expectedUrl);
+      expect(axiosPostStub.firstCall.args[1]).to.deep.equal(expectedData);
+      expect(axiosPostStub.firstCall.args[2].headers).to.deep.include(expectedHeaders);
+      expect(axiosDeleteStub.called).to.be.false;
       expect(axiosPutStub.called).to.be.false;
     });
 
@@ -214,20 +254,157 @@ describe('Lambda Handler Tests', () => {
       const objectKey = 'versioned/file/to/delete.json';
       const versionId = 'aBcDeFgHiJkLmNoPqRsTuVwXyZ123456';
       const mockEvent = { Records: [{ eventName: 'ObjectRemoved:DeleteMarkerCreated', userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' }, s3: { bucket: { name: bucketName }, object: { key: objectKey, versionId: versionId } } }] };
+      mockGitlabFileExists();
       await handler(mockEvent);
       expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(1);
       expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
-      expect(axiosDeleteStub.calledOnce).to.be.true;
-      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/files/${encodeURIComponent(objectKey)}`;
-      const expectedData = { branch: process.env.GITLAB_BRANCH, commit_message: `Pipeline Deletion - Delete Marker Created for ${objectKey}` };
+      expect(axiosPostStub.calledOnce).to.be.true;
+      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/commits`;
+      const expectedData = { branch: process.env.GITLAB_BRANCH, commit_message: addSyncTrailer(`Pipeline Deletion - Delete Marker Created for ${objectKey}`), actions: [{ action: 'delete', file_path: objectKey }] };
       const expectedHeaders = { 'PRIVATE-TOKEN': 'mock-gitlab-token' };
-      expect(axiosDeleteStub.firstCall.args[0]).to.equal(expectedUrl);
-      expect(axiosDeleteStub.firstCall.args[1]).to.exist;
-      expect(axiosDeleteStub.firstCall.args[1].headers).to.deep.include(expectedHeaders);
-      expect(axiosDeleteStub.firstCall.args[1].data).to.deep.equal(expectedData);
+      expect(axiosPostStub.firstCall.args[0]).to.equal(expectedUrl);
+      expect(axiosPostStub.firstCall.args[1]).to.deep.equal(expectedData);
+      expect(axiosPostStub.firstCall.args[2].headers).to.deep.include(expectedHeaders);
+      expect(axiosDeleteStub.called).to.be.false;
+      expect(axiosPutStub.called).to.be.false;
+    });
+  });
+
+  // Test suite for redelivered and overlapping events
+  describe('No-op Changes', () => {
+    it('should skip the commit when GitLab already holds identical content', async () => {
+      const objectKey = 'path/to/same.txt';
+      const mockEvent = { Records: [{ eventName: 'ObjectCreated:Put', userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' }, s3: { bucket: { name: 'test-bucket' }, object: { key: objectKey } } }] };
+      mockGitlabFileExists('mock file content');
+
+      const summary = await handler(mockEvent);
+
+      expect(summary.failed).to.equal(0);
+      expect(axiosHeadStub.calledOnce).to.be.true;
       expect(axiosPostStub.called).to.be.false;
       expect(axiosPutStub.called).to.be.false;
     });
+
+    it('should treat deleting a file that is not in GitLab as a successful no-op', async () => {
+      const objectKey = 'path/to/already-gone.txt';
+      const mockEvent = { Records: [{ eventName: 'ObjectRemoved:Delete', userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' }, s3: { bucket: { name: 'test-bucket' }, object: { key: objectKey } } }] };
+
+      const summary = await handler(mockEvent);
+
+      expect(summary.processed).to.equal(1);
+      expect(summary.failed).to.equal(0);
+      expect(axiosPostStub.called).to.be.false;
+      expect(axiosDeleteStub.called).to.be.false;
+    });
+
+    it('should drop only the no-op actions from a batch', async () => {
+      const mockEvent = {
+        Records: [
+          { eventName: 'ObjectCreated:Put', userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' }, s3: { bucket: { name: 'test-bucket' }, object: { key: 'path/to/same.txt' } } },
+          { eventName: 'ObjectRemoved:Delete', userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' }, s3: { bucket: { name: 'test-bucket' }, object: { key: 'path/to/missing.txt' } } },
+          { eventName: 'ObjectRemoved:Delete', userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' }, s3: { bucket: { name: 'test-bucket' }, object: { key: 'path/to/present.txt' } } },
+        ],
+      };
+      mockGitlabFileExists('mock file content', 'path/to/same.txt');
+      mockGitlabFileExists(undefined, 'path/to/present.txt');
+
+      await handler(mockEvent);
+
+      expect(axiosPostStub.calledOnce).to.be.true;
+      expect(axiosPostStub.firstCall.args[1]).to.deep.include({
+        commit_message: addSyncTrailer('Pipeline Deletion - Object path/to/present.txt Removed'),
+        actions: [{ action: 'delete', file_path: 'path/to/present.txt' }],
+      });
+    });
+  });
+
+  // Test suite for objects stored in Git LFS
+  describe('Git LFS', () => {
+    const content = 'mock file content';
+    const oid = createHash('sha256').update(content).digest('hex');
+    const pointer = `version https://git-lfs.github.com/spec/v1\noid sha256:${oid}\nsize ${content.length}\n`;
+    const lfsUrl = 'https://gitlab.example.com/group/project.git/info/lfs/objects';
+    const createEvent = (key) => ({ Records: [{ eventName: 'ObjectCreated:Put', userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' }, s3: { bucket: { name: 'test-bucket' }, object: { key } } }] });
+
+    beforeEach(() => {
+      axiosGetStub.withArgs('https://gitlab.example.com/api/v4/projects/12345').resolves({
+        data: { http_url_to_repo: 'https://gitlab.example.com/group/project.git' },
+      });
+      axiosPostStub.withArgs(`${lfsUrl}/batch`).resolves({
+        data: { objects: [{ oid, size: content.length, actions: { upload: { href: `${lfsUrl}/${oid}/${content.length}`, header: { Authorization: 'Basic upload' } } } }] },
+      });
+    });
+
+    it('should upload matching objects to LFS and commit a pointer and .gitattributes', async () => {
+      process.env.LFS_PATTERNS = JSON.stringify(['*.psd']);
+
+      await handler(createEvent('design/logo.psd'));
+
+      const batchCall = axiosPostStub.getCalls().find(({ args }) => args[0] === `${lfsUrl}/batch`);
+      expect(batchCall.args[1]).to.deep.equal({ operation: 'upload', transfers: ['basic'], objects: [{ oid, size: content.length }] });
+      expect(batchCall.args[2].auth).to.deep.equal({ username: 'oauth2', password: 'mock-gitlab-token' });
+      expect(axiosPutStub.calledOnce).to.be.true;
+      expect(axiosPutStub.firstCall.args[0]).to.equal(`${lfsUrl}/${oid}/${content.length}`);
+      expect(axiosPutStub.firstCall.args[1].toString()).to.equal(content);
+      expect(axiosPutStub.firstCall.args[2].headers.Authorization).to.equal('Basic upload');
+
+      const commitCall = axiosPostStub.getCalls().find(({ args }) => args[0].endsWith('/repository/commits'));
+      expect(commitCall.args[1].commit_message).to.equal(addSyncTrailer('Pipeline Creation - Object design/logo.psd '));
+      expect(commitCall.args[1].actions).to.deep.equal([
+        { action: 'create', file_path: 'design/logo.psd', content: pointer, encoding: 'text' },
+        { action: 'create', file_path: '.gitattributes', content: '*.psd filter=lfs diff=lfs merge=lfs -text\n', encoding: 'text' },
+      ]);
+    });
+
+    it('should track objects above the size threshold by path', async () => {
+      process.env.LFS_MIN_SIZE = '10';
+      axiosGetStub.withArgs(sinon.match('.gitattributes')).resolves({ data: Buffer.from('*.png binary') });
+
+      await handler(createEvent('data/big+set.csv'));
+
+      const commitCall = axiosPostStub.getCalls().find(({ args }) => args[0].endsWith('/repository/commits'));
+      expect(commitCall.args[1].actions[1]).to.deep.equal({
+        action: 'update',
+        file_path: '.gitattributes',
+        content: '*.png binary\n/data/big[[:space:]]set.csv filter=lfs diff=lfs merge=lfs -text\n',
+        encoding: 'text',
+      });
+    });
+
+    it('should skip uploads and the commit when the branch already holds the pointer', async () => {
+      process.env.LFS_PATTERNS = JSON.stringify(['*.psd']);
+      mockGitlabFileExists(pointer);
+
+      const summary = await handler(createEvent('design/logo.psd'));
+
+      expect(summary.failed).to.equal(0);
+      expect(axiosPostStub.called).to.be.false;
+      expect(axiosPutStub.called).to.be.false;
+    });
+
+    it('should not upload objects the LFS store already holds', async () => {
+      process.env.LFS_PATTERNS = JSON.stringify(['*.psd']);
+      axiosGetStub.withArgs(sinon.match('.gitattributes')).resolves({ data: Buffer.from('*.psd filter=lfs diff=lfs merge=lfs -text\n') });
+      axiosPostStub.withArgs(`${lfsUrl}/batch`).resolves({ data: { objects: [{ oid, size: content.length }] } });
+
+      await handler(createEvent('design/logo.psd'));
+
+      expect(axiosPutStub.called).to.be.false;
+      const commitCall = axiosPostStub.getCalls().find(({ args }) => args[0].endsWith('/repository/commits'));
+      expect(commitCall.args[1].actions).to.have.length(1);
+    });
+
+    it('should keep committing small unmatched objects as plain blobs', async () => {
+      process.env.LFS_PATTERNS = JSON.stringify(['*.psd']);
+      process.env.LFS_MIN_SIZE = '1024';
+
+      await handler(createEvent('docs/readme.txt'));
+
+      expect(axiosPostStub.calledOnce).to.be.true;
+      expect(axiosPostStub.firstCall.args[1].actions).to.deep.equal([
+        { action: 'create', file_path: 'docs/readme.txt', content, encoding: 'text' },
+      ]);
+    });
   });
 
   // Test suite for error handling scenarios
@@ -265,6 +442,20 @@ describe('Lambda Handler Tests', () => {
       expect(axiosDeleteStub.called).to.be.false;
     });
 
+    it('should log only the identifiers of an event that fails', async () => {
+      const mockEvent = { Records: [{ eventName: 'ObjectCreated:Put', userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' }, s3: { bucket: { name: 'test-bucket-log' }, object: { key: 'path/to/file.txt', eTag: 'secret-etag' } } }] };
+      secretsManagerMock.on(GetSecretValueCommand).rejects(new Error('Secrets Manager Error'));
+      const errorStub = sinon.stub(console, 'error');
+      try {
+        await expect(handler(mockEvent)).to.be.rejectedWith('Secrets Manager Error');
+      } finally {
+        errorStub.restore();
+      }
+      const line = errorStub.getCalls().map(({ args }) => JSON.parse(args[0])).find(({ message }) => message === 'Error processing S3 event');
+      expect(line).to.not.have.property('event');
+      expect(line).to.deep.include({ buckets: ['test-bucket-log'], keys: ['path/to/file.txt'] });
+    });
+
     // Test case for S3 GetObject failure
     it('should throw an error if getting the object from S3 fails', async () => {
       // Arrange: Mock event and force S3 GetObject to fail
@@ -302,7 +493,7 @@ describe('Lambda Handler Tests', () => {
     });
 
     // Test case for GitLab API failure during file add (POST)
-    it('should throw an error if the GitLab API addFile call (POST) fails', async () => {
+    it('should throw an error if the GitLab commit (POST) fails for a create event', async () => {
       // Arrange: Mock event, S3 success, but force GitLab POST to fail
       const bucketName = 'test-bucket-gitlab-fail';
       const objectKey = 'path/to/gitlab-post-error.md';
@@ -347,22 +538,22 @@ describe('Lambda Handler Tests', () => {
       // 3. Axios POST was called (even though it failed)
       expect(axiosPostStub.calledOnce).to.be.true;
       // Optionally, check arguments if needed, similar to success case
-      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/files/${encodeURIComponent(objectKey)}`;
+      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/commits`;
       expect(axiosPostStub.firstCall.args[0]).to.equal(expectedUrl);
       // 4. Other Axios methods not called
       expect(axiosPutStub.called).to.be.false;
       expect(axiosDeleteStub.called).to.be.false;
     });
 
-    // Test case for GitLab API failure during file delete (DELETE)
-    it('should throw an error if the GitLab API deleteFile call fails', async () => {
-      // Arrange: Mock event, force GitLab DELETE to fail
+    // Test case for GitLab API failure during a delete commit
+    it('should throw an error if the GitLab commit fails for a remove event', async () => {
+      // Arrange: Mock event, force the GitLab commit to fail
       const bucketName = 'test-bucket-gitlab-delete-fail';
       const objectKey = 'path/to/gitlab-delete-error.tmp';
 
       const mockEvent = {
         Records: [{
-          eventName: 'ObjectRemoved:Delete', // Event that triggers DELETE
+          eventName: 'ObjectRemoved:Delete', // Event that stages a delete action
           userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' },
           s3: {
             bucket: { name: bucketName },
@@ -371,11 +562,12 @@ describe('Lambda Handler Tests', () => {
         }],
       };
 
-      // No S3 mock needed for delete
+      // No S3 mock needed for delete; the file exists in GitLab
+      mockGitlabFileExists();
 
-      // Override default axios DELETE stub to reject
+      // Override default axios POST stub to reject
       const gitlabError = new Error('GitLab API Error: Delete Failed');
-      axiosDeleteStub.rejects(gitlabError);
+      axiosPostStub.rejects(gitlabError);
 
       // Act & Assert: Expect the handler to reject with the GitLab error
       await expect(handler(mockEvent)).to.be.rejectedWith(gitlabError);
@@ -385,13 +577,14 @@ describe('Lambda Handler Tests', () => {
       expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(1);
       // 2. S3 GetObject was NOT called
       expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
-      // 3. Axios DELETE was called (even though it failed)
-      expect(axiosDeleteStub.calledOnce).to.be.true;
+      // 3. Axios POST was called (even though it failed)
+      expect(axiosPostStub.calledOnce).to.be.true;
       // Optionally, check arguments if needed, similar to success case
-      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/files/${encodeURIComponent(objectKey)}`;
-      expect(axiosDeleteStub.firstCall.args[0]).to.equal(expectedUrl);
+      const expectedUrl = `${process.env.GITLAB_API_URL}/projects/${process.env.GITLAB_PROJECT_ID}/repository/commits`;
+      expect(axiosPostStub.firstCall.args[0]).to.equal(expectedUrl);
+      expect(axiosPostStub.firstCall.args[1].actions).to.deep.equal([{ action: 'delete', file_path: objectKey }]);
       // 4. Other Axios methods not called
-      expect(axiosPostStub.called).to.be.false;
+      expect(axiosDeleteStub.called).to.be.false;
       expect(axiosPutStub.called).to.be.false;
     });
 
@@ -403,6 +596,18 @@ describe('Lambda Handler Tests', () => {
     it('should send the correct payload for create/update'); // Placeholder
     it('should use the correct HTTP method based on the S3 event'); // Placeholder
     it('should include the GitLab token in the request headers'); // Placeholder
+
+    it('should commit a move action with its previous path', async () => {
+      const { GITLAB_API_URL, GITLAB_PROJECT_ID, GITLAB_BRANCH } = process.env;
+      const commit = gitlabApi.createCommit(GITLAB_API_URL, GITLAB_PROJECT_ID, GITLAB_BRANCH, 'mock-gitlab-token');
+
+      await commit.move('docs/old.txt', 'docs/new.txt', 'moved content', 'Move docs/old.txt').push();
+
+      expect(axiosPostStub.firstCall.args[1].actions).to.deep.equal([
+        { action: 'move', file_path: 'docs/new.txt', previous_path: 'docs/old.txt', content: 'moved content', encoding: 'text' },
+      ]);
+      expect(axiosPostStub.firstCall.args[1].commit_message).to.equal(addSyncTrailer('Move docs/old.txt'));
+    });
   });
 
 });
@@ -1,19 +1,26 @@
 // test/index.test.mjs
 import { expect } from 'chai';
-import { beforeEach } from 'mocha';
+import { beforeEach, afterEach } from 'mocha';
 import { handler } from '../index.mjs';
+import { addSyncTrailer } from '../utils/commitMessageUtils.mjs';
+import { createMemoryStateStore, setStateStore } from '../services/stateStore.mjs';
 import {
   secretsManagerMock,
   s3Mock,
   axiosPostStub,
   axiosPutStub,
   axiosDeleteStub,
+  axiosHeadStub,
   // Add new helpers:
   mockSecretsManagerError,
   mockS3GetObjectError,
   mockAxiosPostError,
   // mockAxiosPutError, // Not used yet, but can import if needed later
   mockAxiosDeleteError,
+  mockGitlabFileExists,
+  createS3Record,
+  createS3Event,
+  HeadObjectCommand,
 } from './test-helper.mjs';
 import { GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
 import { GetObjectCommand } from '@aws-sdk/client-s3';
@@ -33,14 +40,14 @@ describe('S3 to GitLab Lambda Handler', () => {
   let bucketName;
 
   // --- Mock S3 Event Helper ---
-  const createMockS3Event = (eventName, bucket, key, versionId = null) => ({
+  const createMockS3Event = (eventName, bucket, key, versionId = null, size = undefined) => ({
     Records: [
       {
         eventName: eventName,
         userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' },
         s3: {
           bucket: { name: bucket },
-          object: { key: key, versionId: versionId },
+          object: { key: key, versionId: versionId, size: size },
         },
       },
     ],
@@ -66,6 +73,7 @@ describe('S3 to GitLab Lambda Handler', () => {
     const stream = new Readable(); stream.push('mock file content'); stream.push(null);
     const sdkStream = sdkStreamMixin(stream);
     s3Mock.on(GetObjectCommand).resolves({ Body: sdkStream, ContentType: 'text/plain' });
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 17, ContentType: 'text/plain' });
 
     // Note: Axios stubs are reset in test-helper's afterEach
   });
@@ -84,10 +92,12 @@ describe('S3 to GitLab Lambda Handler', () => {
   it('should successfully process a remove event (ObjectRemoved:Delete)', async () => {
     const objectKey = 'path/to/delete-this.txt';
     const mockEvent = createMockS3Event('ObjectRemoved:Delete', bucketName, objectKey);
+    mockGitlabFileExists();
     await handler(mockEvent);
     expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(1);
     expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
-    expect(axiosDeleteStub.calledOnce).to.be.true;
+    expect(axiosPostStub.calledOnce).to.be.true;
+    expect(axiosPostStub.firstCall.args[1].actions).to.deep.equal([{ action: 'delete', file_path: objectKey }]);
   });
 
   it('should ignore unhandled event categories (e.g., ObjectRestore:Post)', async () => {
@@ -142,7 +152,7 @@ describe('S3 to GitLab Lambda Handler', () => {
     expect(axiosDeleteStub.notCalled).to.be.true;
   });
 
-  it('should throw an error if GitLab API call fails during create event (addOrUpdateFile - add attempt)', async () => {
+  it('should throw an error if the GitLab commit fails during create event', async () => {
     // ... (implementation as before) ...
     const objectKey = 'path/to/create-fail.txt';
     const mockEvent = createMockS3Event('ObjectCreated:Put', bucketName, objectKey);
@@ -150,6 +160,7 @@ describe('S3 to GitLab Lambda Handler', () => {
     expectedError.response = { status: 401, data: { message: 'Invalid token' } };
     // Ensure AWS mocks succeed (handled by beforeEach)
     mockAxiosPostError(expectedError); // Use helper
+    mockGitlabFileExists();
     // Ensure put/delete stubs resolve (handled by beforeEach/afterEach in helper)
     let error = null;
     try { await handler(mockEvent); } catch (e) { error = e; }
@@ -170,8 +181,9 @@ describe('S3 to GitLab Lambda Handler', () => {
     const expectedError = new Error('Simulated GitLab API Error (Delete)');
     expectedError.response = { status: 403, data: { message: 'Forbidden' } }; // Simulate a delete failure
     // Ensure Secrets Manager succeeds (handled by beforeEach)
-    mockAxiosDeleteError(expectedError); // Use helper
-    // Ensure post/put stubs resolve (handled by beforeEach/afterEach in helper)
+    mockAxiosPostError(expectedError); // Use helper
+    mockGitlabFileExists();
+    // Ensure put/delete stubs resolve (handled by beforeEach/afterEach in helper)
     let error = null;
     try { await handler(mockEvent); } catch (e) { error = e; }
     expect(error).to.not.be.null;
@@ -179,28 +191,23 @@ describe('S3 to GitLab Lambda Handler', () => {
     expect(error.response?.status).to.equal(403);
     expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(1);
     expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
-    expect(axiosDeleteStub.calledOnce).to.be.true;
-    expect(axiosPostStub.notCalled).to.be.true;
+    expect(axiosPostStub.calledOnce).to.be.true;
+    expect(axiosDeleteStub.notCalled).to.be.true;
     expect(axiosPutStub.notCalled).to.be.true;
   });
 
-  // --- New addOrUpdateFile Fallback Test ---
-  it('should update the file via PUT if POST fails with "file exists" error', async () => {
+  // --- Existing File Update Test ---
+  it('should commit an update action if the file already exists', async () => {
     const objectKey = 'path/to/existing-file.txt';
     const mockEvent = createMockS3Event('ObjectCreated:Put', bucketName, objectKey);
     // Initial commit message uses 'Creation'
     // const initialCommitMessage = `Pipeline Creation - Object ${objectKey} `;
-    // Expected commit message uses 'Update' because PUT is used
+    // Expected commit message uses 'Update' because the file exists
     const expectedUpdateCommitMessage = `Pipeline Update - Object ${objectKey} `;
     const expectedContent = 'mock file content'; // From S3 mock
 
-    // Simulate the specific "file exists" error on POST
-    const postError = new Error('A file with this name already exists'); // Match error message substring
-    postError.response = { status: 400, data: { message: 'A file with this name already exists' } };
-    axiosPostStub.rejects(postError);
-
-    // Ensure PUT succeeds (this is the expected fallback)
-    axiosPutStub.resolves({ status: 200, data: { message: 'File updated' } });
+    // Simulate the file being present on the branch
+    mockGitlabFileExists();
 
     // Ensure AWS mocks succeed
     // Create stream before the .on() call for consistency
@@ -212,7 +219,6 @@ describe('S3 to GitLab Lambda Handler', () => {
 
 
     // Act
-    // Should NOT throw an error because the fallback handles the specific POST error
     let actError = null;
     try {
       await handler(mockEvent);
@@ -227,28 +233,33 @@ describe('S3 to GitLab Lambda Handler', () => {
     expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(1);
     expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(1);
 
-    // Assert GitLab API calls - POST was called (and failed), PUT was called (and succeeded)
+    // Assert GitLab API calls - existence checked, then a single commit
+    expect(axiosHeadStub.calledOnce).to.be.true;
     expect(axiosPostStub.calledOnce).to.be.true;
-    expect(axiosPutStub.calledOnce).to.be.true;
+    expect(axiosPutStub.notCalled).to.be.true;
     expect(axiosDeleteStub.notCalled).to.be.true;
 
-    // Verify details of the axios.put call
-    const putArgs = axiosPutStub.getCall(0).args;
-    const expectedUrl = `${expectedApiUrl}/projects/${expectedProjectId}/repository/files/${encodeURIComponent(objectKey)}`;
-    const expectedPutData = {
+    // Verify details of the commit call
+    const postArgs = axiosPostStub.getCall(0).args;
+    const expectedUrl = `${expectedApiUrl}/projects/${expectedProjectId}/repository/commits`;
+    const expectedPostData = {
       branch: expectedBranch,
-      content: Buffer.from(expectedContent).toString('utf8'), // Text file content
-      encoding: 'text', // Determined from ContentType 'text/plain'
-      commit_message: expectedUpdateCommitMessage, // Verify commit message was updated
+      commit_message: addSyncTrailer(expectedUpdateCommitMessage), // Verify commit message was updated
+      actions: [{
+        action: 'update',
+        file_path: objectKey,
+        content: Buffer.from(expectedContent).toString('utf8'), // Text file content
+        encoding: 'text', // Determined from the .txt extension
+      }],
     };
     const expectedHeaders = {
       'PRIVATE-TOKEN': expectedToken,
       'Content-Type': 'application/json',
     };
 
-    expect(putArgs[0]).to.equal(expectedUrl); // URL
-    expect(putArgs[1]).to.deep.equal(expectedPutData); // Data
-    expect(putArgs[2].headers).to.deep.equal(expectedHeaders); // Headers
+    expect(postArgs[0]).to.equal(expectedUrl); // URL
+    expect(postArgs[1]).to.deep.equal(expectedPostData); // Data
+    expect(postArgs[2].headers).to.deep.equal(expectedHeaders); // Headers
   });
   // Test for missing AWS_REGION environment variable
   it('should throw an error if AWS_REGION is not set', async () => {
@@ -270,7 +281,8 @@ describe('S3 to GitLab Lambda Handler', () => {
     process.env.AWS_REGION = originalRegion;
 
     expect(error).to.not.be.null;
-    expect(error.message).to.equal('AWS_REGION environment variable is not set');
+    expect(error.message).to.include('Invalid configuration');
+    expect(error.message).to.include('AWS_REGION');
     expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(0);
     expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
   });
@@ -298,8 +310,8 @@ describe('S3 to GitLab Lambda Handler', () => {
 
 
     expect(error).to.not.be.null;
-    expect(error.message).to.include('SecretId');
-    expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(1);
+    expect(error.message).to.include('SECRET_ID');
+    expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(0);
     expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
   });
 
@@ -325,6 +337,562 @@ describe('S3 to GitLab Lambda Handler', () => {
     expect(axiosDeleteStub.notCalled).to.be.true;
   });
 
+  // Tests for objects uploaded in parts
+  describe('Multipart uploads and object size', () => {
+    it('should mirror an object created by CompleteMultipartUpload', async () => {
+      const objectKey = 'path/to/large-upload.txt';
+      const mockEvent = createMockS3Event('ObjectCreated:CompleteMultipartUpload', bucketName, objectKey, null, 17);
+
+      const summary = await handler(mockEvent);
+
+      expect(summary.processed).to.equal(1);
+      expect(s3Mock.commandCalls(HeadObjectCommand).length).to.equal(0); // Size came from the event
+      expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(1);
+      expect(axiosPostStub.firstCall.args[1]).to.deep.include({ commit_message: addSyncTrailer(`Pipeline Creation - Object ${objectKey} `) });
+      expect(axiosPostStub.firstCall.args[1].actions[0]).to.include({ action: 'create', file_path: objectKey });
+    });
+
+    it('should ask S3 for the size when the event does not carry it', async () => {
+      const objectKey = 'path/to/unsized.txt';
+      await handler(createMockS3Event('ObjectCreated:Put', bucketName, objectKey));
+
+      const headCalls = s3Mock.commandCalls(HeadObjectCommand);
+      expect(headCalls.length).to.equal(1);
+      expect(headCalls[0].args[0].input).to.deep.equal({ Bucket: bucketName, Key: objectKey });
+      expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(1);
+    });
+
+    it('should skip objects above MAX_FILE_SIZE without downloading them', async () => {
+      process.env.MAX_FILE_SIZE = '1024';
+      const objectKey = 'path/to/huge.bin';
+      let summary;
+      try {
+        summary = await handler(createMockS3Event('ObjectCreated:CompleteMultipartUpload', bucketName, objectKey, null, 4096));
+      } finally {
+        delete process.env.MAX_FILE_SIZE;
+      }
+
+      expect(summary.skipped).to.equal(1);
+      expect(summary.failed).to.equal(0);
+      expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
+      expect(axiosPostStub.notCalled).to.be.true;
+    });
+  });
+
+  // Test for content-based encoding
+  it('should commit extensionless binary objects as base64', async () => {
+    const objectKey = 'path/to/executable';
+    const binaryContent = Buffer.from([0x00, 0xff, 0x10, 0x80, 0x00]);
+    s3Mock.on(GetObjectCommand).resolves({ Body: sdkStreamMixin(Readable.from([binaryContent])), ContentType: 'application/octet-stream' });
+
+    await handler(createMockS3Event('ObjectCreated:Put', bucketName, objectKey));
+
+    expect(axiosPostStub.firstCall.args[1].actions[0]).to.deep.equal({
+      action: 'create',
+      file_path: objectKey,
+      content: binaryContent.toString('base64'),
+      encoding: 'base64',
+    });
+  });
+
+  // Tests for S3 key to repository path mapping
+  describe('Path mapping rules', () => {
+    beforeEach(() => {
+      process.env.PATH_MAPPINGS = JSON.stringify([{ prefix: 'exports/2025/', targetDir: 'data/' }]);
+    });
+
+    afterEach(() => {
+      delete process.env.PATH_MAPPINGS;
+    });
+
+    it('should apply the rules to creates and deletes', async () => {
+      const mockEvent = {
+        Records: [
+          ...createMockS3Event('ObjectCreated:Put', bucketName, 'exports/2025/new.txt').Records,
+          ...createMockS3Event('ObjectRemoved:Delete', bucketName, 'exports/2025/old.txt').Records,
+        ],
+      };
+      mockGitlabFileExists(undefined, 'data/old.txt');
+
+      await handler(mockEvent);
+
+      expect(s3Mock.commandCalls(GetObjectCommand)[0].args[0].input).to.deep.equal({ Bucket: bucketName, Key: 'exports/2025/new.txt' });
+      expect(axiosPostStub.firstCall.args[1].actions.map(({ action, file_path }) => ({ action, file_path }))).to.deep.equal([
+        { action: 'create', file_path: 'data/new.txt' },
+        { action: 'delete', file_path: 'data/old.txt' },
+      ]);
+    });
+
+    it('should skip keys that match no rule', async () => {
+      const summary = await handler(createMockS3Event('ObjectCreated:Put', bucketName, 'scratch/ignored.txt'));
+
+      expect(summary.skipped).to.equal(1);
+      expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
+      expect(axiosPostStub.notCalled).to.be.true;
+    });
+  });
+
+  // Test for include/exclude key filters
+  it('should report filtered-out keys as skipped without any S3 or GitLab work', async () => {
+    process.env.EXCLUDE_PATTERNS = JSON.stringify(['*.tmp', '_SUCCESS']);
+    const mockEvent = {
+      Records: [
+        ...createMockS3Event('ObjectCreated:Put', bucketName, 'etl/out/part-0.tmp').Records,
+        ...createMockS3Event('ObjectRemoved:Delete', bucketName, 'etl/out/_SUCCESS').Records,
+        ...createMockS3Event('ObjectCreated:Put', bucketName, 'etl/out/part-0.csv', null, 17).Records,
+      ],
+    };
+
+    let summary;
+    try {
+      summary = await handler(mockEvent);
+    } finally {
+      delete process.env.EXCLUDE_PATTERNS;
+    }
+
+    expect(summary.results.map(({ status }) => status)).to.deep.equal(['skipped', 'skipped', 'processed']);
+    expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(1);
+    expect(axiosPostStub.firstCall.args[1].actions.map(({ file_path }) => file_path)).to.deep.equal(['etl/out/part-0.csv']);
+  });
+
+  // Tests for retrying GitLab calls
+  it('should retry a commit that was rate limited', async () => {
+    const rateLimited = new Error('Request failed with status code 429');
+    rateLimited.response = { status: 429, headers: { 'retry-after': '0' }, data: {} };
+    axiosPostStub.onFirstCall().rejects(rateLimited);
+    mockGitlabFileExists();
+
+    const summary = await handler(createMockS3Event('ObjectRemoved:Delete', bucketName, 'path/to/retried.txt'));
+
+    expect(summary.processed).to.equal(1);
+    expect(axiosPostStub.calledTwice).to.be.true;
+  });
+
+  it('should not re-send a commit that failed with a 503, which may have landed', async () => {
+    process.env.GITLAB_RETRY_BASE_DELAY_MS = '0';
+    const unavailable = new Error('Request failed with status code 503');
+    unavailable.response = { status: 503, headers: {}, data: {} };
+    axiosPostStub.onFirstCall().rejects(unavailable);
+    mockGitlabFileExists();
+
+    let error = null;
+    try {
+      await handler(createMockS3Event('ObjectRemoved:Delete', bucketName, 'path/to/retried.txt'));
+    } catch (e) {
+      error = e;
+    } finally {
+      delete process.env.GITLAB_RETRY_BASE_DELAY_MS;
+    }
+
+    expect(error.response.status).to.equal(503);
+    expect(axiosPostStub.calledOnce).to.be.true;
+  });
+
+  it('should not retry past the remaining Lambda time', async () => {
+    const rateLimited = new Error('Request failed with status code 429');
+    rateLimited.response = { status: 429, headers: { 'retry-after': '10' }, data: {} };
+    mockAxiosPostError(rateLimited);
+    mockGitlabFileExists();
+    const context = { getRemainingTimeInMillis: () => 5000 };
+
+    let error = null;
+    try { await handler(createMockS3Event('ObjectRemoved:Delete', bucketName, 'path/to/late.txt'), context); } catch (e) { error = e; }
+
+    expect(error.response.status).to.equal(429);
+    expect(axiosPostStub.calledOnce).to.be.true;
+  });
+
+  // Tests for out-of-order delivery
+  describe('Sequencer ordering', () => {
+    let store;
+
+    const createSequencedEvent = (...records) => ({
+      Records: records.map(([eventName, key, sequencer]) => ({
+        eventName,
+        userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' },
+        s3: { bucket: { name: bucketName }, object: { key, sequencer } },
+      })),
+    });
+
+    beforeEach(() => {
+      store = createMemoryStateStore();
+      setStateStore(store);
+    });
+
+    afterEach(() => {
+      setStateStore(null);
+    });
+
+    it('should skip an event older than the recorded sequencer', async () => {
+      await store.put(`${bucketName}/path/to/deleted.txt`, '0055AED6DCD90281E6');
+
+      const summary = await handler(createSequencedEvent(['ObjectCreated:Put', 'path/to/deleted.txt', '0055AED6DCD90281E5']));
+
+      expect(summary.skipped).to.equal(1);
+      expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
+      expect(axiosPostStub.notCalled).to.be.true;
+    });
+
+    it('should record the sequencer once the change is committed', async () => {
+      await handler(createSequencedEvent(['ObjectCreated:Put', 'path/to/new.txt', '0055AED6DCD90281E5']));
+
+      expect(axiosPostStub.calledOnce).to.be.true;
+      expect(await store.get(`${bucketName}/path/to/new.txt`)).to.equal('0055AED6DCD90281E5');
+    });
+
+    it('should skip a stale event that follows a newer one in the same batch', async () => {
+      mockGitlabFileExists();
+
+      const summary = await handler(createSequencedEvent(
+        ['ObjectRemoved:Delete', 'path/to/flip.txt', '0055AED6DCD90281F0'],
+        ['ObjectCreated:Put', 'path/to/flip.txt', '0055AED6DCD90281E0'],
+      ));
+
+      expect(summary.results.map(({ status }) => status)).to.deep.equal(['processed', 'skipped']);
+      expect(axiosPostStub.firstCall.args[1].actions).to.deep.equal([{ action: 'delete', file_path: 'path/to/flip.txt' }]);
+    });
+
+    it('should not record sequencers when the commit fails', async () => {
+      mockAxiosPostError(new Error('Simulated GitLab outage'));
+
+      let error = null;
+      try {
+        await handler(createSequencedEvent(['ObjectCreated:Put', 'path/to/unsaved.txt', '0055AED6DCD90281E5']));
+      } catch (e) { error = e; }
+
+      expect(error).to.not.be.null;
+      expect(await store.get(`${bucketName}/path/to/unsaved.txt`)).to.be.undefined;
+    });
+  });
+
+  // Test for configurable commit message templates
+  it('should render configured commit message templates', async () => {
+    process.env.COMMIT_MESSAGE_TEMPLATES = JSON.stringify({
+      create: 'feat(data): add {path} from {bucket}',
+      update: 'fix(data): update {path} ({size} bytes)',
+      copy: 'chore(data): copy {key}',
+      delete: 'feat(data)!: remove {path} by {principalId}',
+    });
+    mockGitlabFileExists(undefined, 'path/to/changed.txt');
+    mockGitlabFileExists(undefined, 'path/to/removed.txt');
+    const mockEvent = {
+      Records: [
+        ...createMockS3Event('ObjectCreated:Put', bucketName, 'path/to/added.txt').Records,
+        ...createMockS3Event('ObjectCreated:Put', bucketName, 'path/to/changed.txt', null, 17).Records,
+        ...createMockS3Event('ObjectRemoved:Delete', bucketName, 'path/to/removed.txt').Records,
+      ],
+    };
+    s3Mock.on(GetObjectCommand).callsFake(() => ({ Body: sdkStreamMixin(Readable.from([Buffer.from('new content')])), ContentType: 'text/plain' }));
+
+    try {
+      await handler(mockEvent);
+      await handler(createMockS3Event('ObjectCreated:Copy', bucketName, 'path/to/copied.txt'));
+    } finally {
+      delete process.env.COMMIT_MESSAGE_TEMPLATES;
+    }
+
+    expect(axiosPostStub.firstCall.args[1].commit_message).to.equal(addSyncTrailer([
+      'Pipeline Sync - 3 objects',
+      '',
+      `- feat(data): add path/to/added.txt from ${bucketName}`,
+      '- fix(data): update path/to/changed.txt (17 bytes)',
+      '- feat(data)!: remove path/to/removed.txt by AWS:EXAMPLE_PRINCIPAL_ID',
+    ].join('\n')));
+    expect(axiosPostStub.secondCall.args[1].commit_message).to.equal(addSyncTrailer('chore(data): copy path/to/copied.txt'));
+  });
+
+  // Tests for attributing commits to the S3 principal
+  describe('Commit authors', () => {
+    const createAuthoredEvent = (...records) => ({
+      Records: records.map(([principalId, key]) => ({
+        ...createMockS3Event('ObjectCreated:Put', bucketName, key).Records[0],
+        userIdentity: { principalId },
+      })),
+    });
+
+    afterEach(() => {
+      delete process.env.COMMIT_AUTHORS;
+      delete process.env.DEFAULT_COMMIT_AUTHOR;
+    });
+
+    it('should set the mapped author on the commit', async () => {
+      process.env.COMMIT_AUTHORS = JSON.stringify({
+        'AWS:AROAEXAMPLE': { name: 'Data Team', email: 'data@example.com' },
+      });
+
+      await handler(createAuthoredEvent(['AWS:AROAEXAMPLE:upload-session', 'path/to/file.txt']));
+
+      expect(axiosPostStub.calledOnce).to.be.true;
+      expect(axiosPostStub.firstCall.args[1].author_name).to.equal('Data Team');
+      expect(axiosPostStub.firstCall.args[1].author_email).to.equal('data@example.com');
+    });
+
+    it('should fall back to the default author from the secret', async () => {
+      secretsManagerMock.on(GetSecretValueCommand).resolves({
+        SecretString: JSON.stringify({
+          token: expectedToken,
+          defaultAuthor: { name: 'S3 Sync', email: 'sync@example.com' },
+        }),
+      });
+
+      await handler(createAuthoredEvent(['AWS:UNMAPPED', 'path/to/file.txt']));
+
+      expect(axiosPostStub.firstCall.args[1].author_name).to.equal('S3 Sync');
+      expect(axiosPostStub.firstCall.args[1].author_email).to.equal('sync@example.com');
+    });
+
+    it('should commit as the token owner when no author applies', async () => {
+      await handler(createAuthoredEvent(['AWS:UNMAPPED', 'path/to/file.txt']));
+
+      expect(axiosPostStub.firstCall.args[1]).to.not.have.property('author_name');
+      expect(axiosPostStub.firstCall.args[1]).to.not.have.property('author_email');
+    });
+
+    it('should start a new commit whenever the author changes, in record order', async () => {
+      process.env.COMMIT_AUTHORS = JSON.stringify({
+        'AWS:ALICE': { name: 'Alice', email: 'alice@example.com' },
+        'AWS:BOB': { name: 'Bob', email: 'bob@example.com' },
+      });
+
+      const summary = await handler(createAuthoredEvent(
+        ['AWS:ALICE', 'path/to/a.txt'],
+        ['AWS:ALICE', 'path/to/b.txt'],
+        ['AWS:BOB', 'path/to/a.txt'],
+        ['AWS:ALICE', 'path/to/c.txt'],
+      ));
+
+      expect(summary.processed).to.equal(4);
+      expect(axiosPostStub.calledThrice).to.be.true;
+      const commits = axiosPostStub.getCalls().map(({ args }) => ({
+        author: args[1].author_name,
+        paths: args[1].actions.map(({ file_path }) => file_path),
+      }));
+      // Bob's change to a.txt lands after Alice's, as the events happened
+      expect(commits).to.deep.equal([
+        { author: 'Alice', paths: ['path/to/a.txt', 'path/to/b.txt'] },
+        { author: 'Bob', paths: ['path/to/a.txt'] },
+        { author: 'Alice', paths: ['path/to/c.txt'] },
+      ]);
+    });
+
+    it('should only fail the records of a commit that could not be pushed', async () => {
+      process.env.COMMIT_AUTHORS = JSON.stringify({
+        'AWS:ALICE': { name: 'Alice', email: 'alice@example.com' },
+      });
+      axiosPostStub.onFirstCall().rejects(new Error('Commit rejected'));
+
+      let error = null;
+      try {
+        await handler(createAuthoredEvent(['AWS:ALICE', 'path/to/a.txt'], ['AWS:BOB', 'path/to/b.txt']));
+      } catch (e) { error = e; }
+
+      expect(error).to.not.be.null;
+      expect(axiosPostStub.calledTwice).to.be.true;
+      expect(axiosPostStub.secondCall.args[1].actions[0].file_path).to.equal('path/to/b.txt');
+    });
+  });
+
+  // Tests for notifications carrying several records
+  it('should process every record in a multi-record event and return a summary', async () => {
+    const mockEvent = {
+      Records: [
+        ...createMockS3Event('ObjectCreated:Put', bucketName, 'path/to/first.txt').Records,
+        ...createMockS3Event('ObjectRemoved:Delete', bucketName, 'path/to/second.txt').Records,
+        ...createMockS3Event('ObjectRestore:Post', bucketName, 'path/to/third.txt').Records,
+      ],
+    };
+    mockGitlabFileExists(undefined, 'path/to/second.txt');
+
+    const summary = await handler(mockEvent);
+
+    expect(secretsManagerMock.commandCalls(GetSecretValueCommand).length).to.equal(1);
+    expect(axiosPostStub.calledOnce).to.be.true;
+    expect(axiosPostStub.firstCall.args[1].actions.map(({ action }) => action)).to.deep.equal(['create', 'delete']);
+    expect(summary.total).to.equal(3);
+    expect(summary.processed).to.equal(2);
+    expect(summary.ignored).to.equal(1);
+    expect(summary.failed).to.equal(0);
+    expect(summary.results.map(({ objectKey, status }) => ({ objectKey, status }))).to.deep.equal([
+      { objectKey: 'path/to/first.txt', status: 'processed' },
+      { objectKey: 'path/to/second.txt', status: 'processed' },
+      { objectKey: 'path/to/third.txt', status: 'ignored' },
+    ]);
+  });
+
+  it('should keep processing later records when one record fails', async () => {
+    const mockEvent = {
+      Records: [
+        ...createMockS3Event('ObjectUnknown:Action', bucketName, 'path/to/bad.txt').Records,
+        ...createMockS3Event('ObjectRemoved:Delete', bucketName, 'path/to/good.txt').Records,
+      ],
+    };
+    mockGitlabFileExists(undefined, 'path/to/good.txt');
+
+    let error = null;
+    try { await handler(mockEvent); } catch (e) { error = e; }
+
+    expect(error).to.not.be.null;
+    expect(error.message).to.include('Unknown event category for event: ObjectUnknown:Action');
+    expect(axiosPostStub.calledOnce).to.be.true;
+    expect(axiosPostStub.firstCall.args[1].actions).to.deep.equal([{ action: 'delete', file_path: 'path/to/good.txt' }]);
+  });
+
+  // Tests for S3 events delivered through SQS
+  describe('SQS-wrapped S3 events', () => {
+    const createSqsEvent = (...messages) => ({
+      Records: messages.map(([messageId, body]) => ({
+        messageId,
+        eventSource: 'aws:sqs',
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+      })),
+    });
+
+    it('should unwrap each message and commit their records together', async () => {
+      const mockEvent = createSqsEvent(
+        ['msg-1', createMockS3Event('ObjectCreated:Put', bucketName, 'path/to/queued.txt')],
+        ['msg-2', createMockS3Event('ObjectRemoved:Delete', bucketName, 'path/to/dequeued.txt')],
+      );
+      mockGitlabFileExists(undefined, 'path/to/dequeued.txt');
+
+      const response = await handler(mockEvent);
+
+      expect(response.batchItemFailures).to.deep.equal([]);
+      expect(response.processed).to.equal(2);
+      expect(axiosPostStub.calledOnce).to.be.true;
+      expect(axiosPostStub.firstCall.args[1].actions.map(({ file_path }) => file_path))
+        .to.deep.equal(['path/to/queued.txt', 'path/to/dequeued.txt']);
+    });
+
+    it('should report only the failed message IDs in batchItemFailures', async () => {
+      const mockEvent = createSqsEvent(
+        ['msg-good', createMockS3Event('ObjectRemoved:Delete', bucketName, 'path/to/fine.txt')],
+        ['msg-bad', createMockS3Event('ObjectUnknown:Action', bucketName, 'path/to/broken.txt')],
+        ['msg-garbled', '{not json'],
+      );
+      mockGitlabFileExists();
+
+      let error = null;
+      let response;
+      try { response = await handler(mockEvent); } catch (e) { error = e; }
+
+      expect(error).to.be.null;
+      expect(response.batchItemFailures).to.deep.equal([
+        { itemIdentifier: 'msg-garbled' },
+        { itemIdentifier: 'msg-bad' },
+      ]);
+      expect(axiosPostStub.calledOnce).to.be.true;
+      expect(axiosPostStub.firstCall.args[1].actions).to.deep.equal([{ action: 'delete', file_path: 'path/to/fine.txt' }]);
+    });
+
+    it('should fail every message with staged changes when the commit fails', async () => {
+      const mockEvent = createSqsEvent(
+        ['msg-1', createMockS3Event('ObjectRemoved:Delete', bucketName, 'path/to/one.txt')],
+        ['msg-2', createMockS3Event('ObjectRestore:Post', bucketName, 'path/to/two.txt')],
+      );
+      mockAxiosPostError(new Error('Simulated GitLab outage'));
+      mockGitlabFileExists();
+
+      const response = await handler(mockEvent);
+
+      expect(response.batchItemFailures).to.deep.equal([{ itemIdentifier: 'msg-1' }]);
+    });
+  });
+
+  // Tests for the EventBridge and test event formats
+  describe('Event normalization', () => {
+    const createEventBridgeEvent = (detailType, key, detail = {}) => ({
+      version: '0',
+      source: 'aws.s3',
+      'detail-type': detailType,
+      time: '2025-01-01T00:00:00Z',
+      detail: {
+        bucket: { name: bucketName },
+        object: { key, size: 17 },
+        requester: '123456789012',
+        ...detail,
+      },
+    });
+
+    it('should mirror an EventBridge "Object Created" event', async () => {
+      const objectKey = 'path/to/bridged.txt';
+      const summary = await handler(createEventBridgeEvent('Object Created', objectKey, { reason: 'PutObject' }));
+
+      expect(summary.results).to.deep.equal([
+        { index: 0, eventName: 'ObjectCreated:Put', objectKey, status: 'processed' },
+      ]);
+      expect(s3Mock.commandCalls(GetObjectCommand)[0].args[0].input).to.deep.equal({ Bucket: bucketName, Key: objectKey });
+      expect(axiosPostStub.firstCall.args[1].actions[0]).to.include({ action: 'create', file_path: objectKey });
+    });
+
+    it('should map an EventBridge delete marker to ObjectRemoved:DeleteMarkerCreated', async () => {
+      const objectKey = 'path/to/bridged-delete.txt';
+      mockGitlabFileExists();
+      await handler(createEventBridgeEvent('Object Deleted', objectKey, { reason: 'DeleteObject', 'deletion-type': 'Delete Marker Created' }));
+
+      expect(axiosPostStub.firstCall.args[1]).to.deep.include({
+        commit_message: addSyncTrailer(`Pipeline Deletion - Delete Marker Created for ${objectKey}`),
+        actions: [{ action: 'delete', file_path: objectKey }],
+      });
+    });
+
+    it('should decode the URL-encoded keys of classic S3 notifications', async () => {
+      const summary = await handler(createS3Event(createS3Record('ObjectCreated:Put', 'path/to/my+notes%28v2%29%2B.txt', { bucket: bucketName })));
+
+      const objectKey = 'path/to/my notes(v2)+.txt';
+      expect(summary.results[0]).to.include({ objectKey, status: 'processed' });
+      expect(s3Mock.commandCalls(GetObjectCommand)[0].args[0].input).to.deep.equal({ Bucket: bucketName, Key: objectKey });
+      expect(axiosPostStub.firstCall.args[1].actions[0]).to.include({ action: 'create', file_path: objectKey });
+    });
+
+    it('should keep EventBridge keys as they are', async () => {
+      const objectKey = 'path/to/a+b%20c.txt';
+      await handler(createEventBridgeEvent('Object Created', objectKey, { reason: 'PutObject' }));
+
+      expect(s3Mock.commandCalls(GetObjectCommand)[0].args[0].input).to.deep.equal({ Bucket: bucketName, Key: objectKey });
+    });
+
+    it('should ignore EventBridge events that only change tags, ACLs or storage class', async () => {
+      const summaries = [];
+      for (const detailType of ['Object Tags Added', 'Object Tags Deleted', 'Object ACL Updated', 'Object Storage Class Changed', 'Object Access Tier Changed']) {
+        summaries.push(await handler(createEventBridgeEvent(detailType, 'path/to/tagged.txt')));
+      }
+
+      expect(summaries.map(({ ignored, failed }) => ({ ignored, failed }))).to.deep.equal(Array(5).fill({ ignored: 1, failed: 0 }));
+      expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
+      expect(axiosPostStub.notCalled).to.be.true;
+    });
+
+    it('should acknowledge an s3:TestEvent without touching S3 or GitLab', async () => {
+      const testEvent = {
+        Service: 'Amazon S3',
+        Event: 's3:TestEvent',
+        Time: '2025-01-01T00:00:00.000Z',
+        Bucket: bucketName,
+        RequestId: 'REQUEST',
+        HostId: 'HOST',
+      };
+
+      const summary = await handler(testEvent);
+      const sqsResponse = await handler({
+        Records: [{ messageId: 'msg-test', eventSource: 'aws:sqs', body: JSON.stringify(testEvent) }],
+      });
+
+      expect(summary.ignored).to.equal(1);
+      expect(summary.failed).to.equal(0);
+      expect(sqsResponse.batchItemFailures).to.deep.equal([]);
+      expect(s3Mock.commandCalls(GetObjectCommand).length).to.equal(0);
+      expect(axiosPostStub.notCalled).to.be.true;
+    });
+
+    it('should throw for payloads that are not S3 events', async () => {
+      let error = null;
+      try { await handler({ hello: 'world' }); } catch (e) { error = e; }
+
+      expect(error).to.not.be.null;
+      expect(error.message).to.equal('Unrecognized S3 event format');
+    });
+  });
+
   // Test for missing S3 object key
   it('should throw an error if S3 object key is missing', async () => {
     const mockEvent = {
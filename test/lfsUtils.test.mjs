@@ -0,0 +1,41 @@
+// test/lfsUtils.test.mjs
+import { expect } from 'chai';
+import { addLfsAttributes, buildLfsPointer, getLfsPattern } from '../utils/lfsUtils.mjs';
+
+describe('Git LFS helpers', () => {
+  describe('getLfsPattern', () => {
+    it('should return the first matching pattern', () => {
+      expect(getLfsPattern('assets/logo.psd', 10, { patterns: ['*.psd', 'assets/**'] })).to.equal('*.psd');
+      expect(getLfsPattern('assets/logo.ai', 10, { patterns: ['*.psd', 'assets/**'] })).to.equal('assets/**');
+    });
+
+    it('should track files at or above minSize by their anchored path', () => {
+      expect(getLfsPattern('data/set.csv', 100, { minSize: 100 })).to.equal('/data/set.csv');
+      expect(getLfsPattern('data/my set.csv', 200, { minSize: 100 })).to.equal('/data/my[[:space:]]set.csv');
+    });
+
+    it('should return null for small unmatched files or no config', () => {
+      expect(getLfsPattern('data/set.csv', 99, { patterns: ['*.psd'], minSize: 100 })).to.be.null;
+      expect(getLfsPattern('data/set.csv', 1e9)).to.be.null;
+    });
+  });
+
+  it('should build a pointer file', () => {
+    expect(buildLfsPointer('abc123', 42)).to.equal('version https://git-lfs.github.com/spec/v1\noid sha256:abc123\nsize 42\n');
+  });
+
+  describe('addLfsAttributes', () => {
+    it('should create content when there is no .gitattributes', () => {
+      expect(addLfsAttributes(undefined, ['*.psd', '*.psd'])).to.equal('*.psd filter=lfs diff=lfs merge=lfs -text\n');
+    });
+
+    it('should append only patterns that are not already tracked', () => {
+      const current = '*.txt text\n*.psd filter=lfs diff=lfs merge=lfs -text';
+      expect(addLfsAttributes(current, ['*.psd', '*.zip'])).to.equal(`${current}\n*.zip filter=lfs diff=lfs merge=lfs -text\n`);
+    });
+
+    it('should return null when every pattern is tracked', () => {
+      expect(addLfsAttributes('*.psd filter=lfs diff=lfs merge=lfs -text\n', ['*.psd'])).to.be.null;
+    });
+  });
+});
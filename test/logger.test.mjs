@@ -0,0 +1,75 @@
+// test/logger.test.mjs
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { logger, redact, runWithLogContext } from '../utils/logger.mjs';
+
+describe('Logger', () => {
+  let logStub;
+  let errorStub;
+
+  const lines = (stub) => stub.getCalls().map(({ args }) => JSON.parse(args[0]));
+
+  beforeEach(() => {
+    logStub = sinon.stub(console, 'log');
+    errorStub = sinon.stub(console, 'error');
+  });
+
+  afterEach(() => {
+    logStub.restore();
+    errorStub.restore();
+    delete process.env.LOG_LEVEL;
+    delete process.env.LOG_REDACT;
+  });
+
+  it('should write one JSON object per line with the log context', async () => {
+    await runWithLogContext({ requestId: 'req-1' }, () =>
+      runWithLogContext({ bucket: 'b', key: 'k' }, async () => logger.info('Staged', { path: 'p' })));
+
+    expect(lines(logStub)).to.deep.equal([
+      { level: 'info', message: 'Staged', requestId: 'req-1', bucket: 'b', key: 'k', path: 'p' }
+    ]);
+  });
+
+  it('should skip lines below LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+    logger.debug('hidden');
+    logger.info('hidden');
+    logger.error('shown');
+
+    expect(logStub.called).to.be.false;
+    expect(lines(errorStub).map(({ message }) => message)).to.deep.equal(['shown']);
+  });
+
+  it('should redact tokens and file content', () => {
+    const redacted = redact({
+      headers: { 'x-gitlab-token': 'hook-secret', 'PRIVATE-TOKEN': 'glpat' },
+      content: 'file body',
+      data: Buffer.from('bytes')
+    });
+
+    expect(redacted).to.deep.equal({
+      headers: { 'x-gitlab-token': '[redacted]', 'PRIVATE-TOKEN': '[redacted]' },
+      content: '[redacted 9 bytes]',
+      data: '[5 bytes]'
+    });
+  });
+
+  it('should keep file content when LOG_REDACT is false', () => {
+    process.env.LOG_REDACT = 'false';
+    expect(redact({ content: 'file body', token: 'glpat' })).to.deep.equal({ content: 'file body', token: '[redacted]' });
+  });
+
+  it('should log GitLab errors without their response body', () => {
+    const error = Object.assign(new Error('Request failed with status code 400'), {
+      response: { status: 400, data: { message: 'A file with this name already exists', content: 'echoed' } }
+    });
+    logger.error('Commit failed', { error });
+
+    expect(lines(errorStub)[0].error).to.deep.equal({
+      name: 'Error',
+      message: 'Request failed with status code 400',
+      status: 400,
+      gitlabMessage: 'A file with this name already exists'
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// test/mergeRequest.test.mjs
+import { expect } from 'chai';
+import { handler } from '../index.mjs';
+import { buildMergeRequestDescription } from '../services/mergeRequest.mjs';
+import {
+  axiosPostStub,
+  axiosPutStub,
+  axiosGetStub,
+  createS3Record,
+  createS3Event,
+} from './test-helper.mjs';
+
+describe('Merge request mode', () => {
+  const projectUrl = 'https://gitlab.example.com/api/v4/projects/123';
+  const callsTo = (stub, url) => stub.getCalls().filter(({ args }) => args[0] === url);
+
+  beforeEach(() => {
+    process.env.MERGE_REQUEST_BRANCH = 's3-sync';
+    axiosGetStub.withArgs(`${projectUrl}/repository/compare`).resolves({
+      data: { diffs: [{ old_path: 'docs/a.txt', new_path: 'docs/a.txt', new_file: true }] },
+    });
+    axiosGetStub.withArgs(`${projectUrl}/merge_requests`).resolves({ data: [] });
+    axiosPostStub.withArgs(`${projectUrl}/merge_requests`).resolves({
+      data: { iid: 7, web_url: 'https://gitlab.example.com/group/project/-/merge_requests/7' },
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.MERGE_REQUEST_BRANCH;
+    delete process.env.MERGE_REQUEST_AUTO_MERGE;
+  });
+
+  it('should create the sync branch, commit to it and open a merge request', async () => {
+    const summary = await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt')));
+
+    const [createBranch] = callsTo(axiosPostStub, `${projectUrl}/repository/branches`);
+    expect(createBranch.args[1]).to.deep.equal({ branch: 's3-sync', ref: 'main' });
+    const [commit] = callsTo(axiosPostStub, `${projectUrl}/repository/commits`);
+    expect(commit.args[1].branch).to.equal('s3-sync');
+    expect(callsTo(axiosGetStub, `${projectUrl}/repository/compare`)[0].args[1].params).to.deep.equal({
+      from: 'main', to: 's3-sync', straight: false,
+    });
+    const [openMergeRequest] = callsTo(axiosPostStub, `${projectUrl}/merge_requests`);
+    expect(openMergeRequest.args[1]).to.deep.include({
+      source_branch: 's3-sync',
+      target_branch: 'main',
+      title: 'Sync S3 changes',
+      remove_source_branch: true,
+    });
+    expect(openMergeRequest.args[1].description).to.include('- `docs/a.txt` (added)');
+    expect(summary.mergeRequest).to.deep.equal({
+      iid: 7,
+      url: 'https://gitlab.example.com/group/project/-/merge_requests/7',
+      created: true,
+    });
+  });
+
+  it('should update the open merge request and reuse the existing branch', async () => {
+    axiosGetStub.withArgs(`${projectUrl}/repository/branches/s3-sync`).resolves({ data: { name: 's3-sync' } });
+    axiosGetStub.withArgs(`${projectUrl}/merge_requests`).resolves({ data: [{ iid: 3 }] });
+    axiosPutStub.withArgs(`${projectUrl}/merge_requests/3`).resolves({ data: { iid: 3, web_url: 'mr-3' } });
+
+    const summary = await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt')));
+
+    expect(callsTo(axiosPostStub, `${projectUrl}/repository/branches`)).to.have.length(0);
+    expect(callsTo(axiosPostStub, `${projectUrl}/merge_requests`)).to.have.length(0);
+    expect(callsTo(axiosPutStub, `${projectUrl}/merge_requests/3`)[0].args[1].description).to.include('docs/a.txt');
+    expect(summary.mergeRequest).to.deep.equal({ iid: 3, url: 'mr-3', created: false });
+  });
+
+  it('should enable auto-merge when configured', async () => {
+    process.env.MERGE_REQUEST_AUTO_MERGE = 'true';
+
+    await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt')));
+
+    const [merge] = callsTo(axiosPutStub, `${projectUrl}/merge_requests/7/merge`);
+    expect(merge.args[1]).to.include({ merge_when_pipeline_succeeds: true });
+  });
+
+  it('should keep the merge request when auto-merge is refused', async () => {
+    process.env.MERGE_REQUEST_AUTO_MERGE = 'true';
+    const refused = new Error('Request failed with status code 405');
+    refused.response = { status: 405, data: { message: 'Method Not Allowed' } };
+    axiosPutStub.withArgs(`${projectUrl}/merge_requests/7/merge`).rejects(refused);
+
+    const summary = await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt')));
+
+    expect(summary.failed).to.equal(0);
+    expect(summary.mergeRequest.iid).to.equal(7);
+  });
+
+  it('should describe every kind of change', () => {
+    const description = buildMergeRequestDescription([
+      { old_path: 'a.txt', new_path: 'a.txt', new_file: true },
+      { old_path: 'b.txt', new_path: 'b.txt' },
+      { old_path: 'c.txt', new_path: 'd.txt', renamed_file: true },
+      { old_path: 'e.txt', new_path: 'e.txt', deleted_file: true },
+    ]);
+
+    expect(description).to.equal([
+      'Changes mirrored from S3.',
+      '',
+      '**4 changed paths**',
+      '',
+      '- `a.txt` (added)',
+      '- `b.txt` (modified)',
+      '- `c.txt` → `d.txt` (renamed)',
+      '- `e.txt` (deleted)',
+      '',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,147 @@
+// test/metrics.test.mjs
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Readable } from 'stream';
+import { sdkStreamMixin } from '@aws-sdk/util-stream-node';
+import { handler } from '../index.mjs';
+import { configureRetries, withRetry } from '../services/gitlabRequest.mjs';
+import { countMetric, flushMetrics, putMetric, startMetrics } from '../utils/metrics.mjs';
+import {
+  secretsManagerMock,
+  s3Mock,
+  axiosPostStub,
+  mockGitlabFileExists,
+  mockS3GetObjectError,
+  createS3Record,
+  createS3Event,
+  GetSecretValueCommand,
+  GetObjectCommand,
+} from './test-helper.mjs';
+
+describe('Embedded metrics', () => {
+  let logStub;
+
+  // EMF documents are the log lines carrying an _aws block
+  const documents = () => logStub.getCalls()
+    .map(({ args }) => args[0])
+    .filter((line) => typeof line === 'string' && line.includes('"_aws"'))
+    .map((line) => JSON.parse(line));
+
+  beforeEach(() => {
+    logStub = sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    logStub.restore();
+    configureRetries();
+  });
+
+  it('should sum counts and keep other values per set of dimensions', () => {
+    startMetrics({ Project: 123 });
+    countMetric('Records', { Bucket: 'b', Outcome: 'processed' });
+    countMetric('Records', { Bucket: 'b', Outcome: 'processed' });
+    putMetric('ObjectSize', 10, 'Bytes', { Bucket: 'b', Outcome: 'processed' });
+    putMetric('ObjectSize', 20, 'Bytes', { Bucket: 'b', Outcome: 'processed' });
+    flushMetrics();
+
+    const [document] = documents();
+    expect(document._aws.CloudWatchMetrics).to.deep.equal([{
+      Namespace: 'S3ToGitlab',
+      Dimensions: [['Project', 'Bucket', 'Outcome']],
+      Metrics: [{ Name: 'Records', Unit: 'Count' }, { Name: 'ObjectSize', Unit: 'Bytes' }]
+    }]);
+    expect(document).to.include({ Project: '123', Bucket: 'b', Outcome: 'processed', Records: 2 });
+    expect(document.ObjectSize).to.deep.equal([10, 20]);
+  });
+
+  it('should split more than 100 values across documents', () => {
+    startMetrics();
+    for (let i = 0; i < 150; i++) putMetric('GitlabLatency', i, 'Milliseconds', { Operation: 'Commit' });
+    flushMetrics();
+
+    expect(documents().map(({ GitlabLatency }) => GitlabLatency.length)).to.deep.equal([100, 50]);
+  });
+
+  it('should record latency and status code for every GitLab attempt', async () => {
+    configureRetries({ maxRetries: 1, baseDelayMs: 0 });
+    const request = sinon.stub();
+    request.onFirstCall().rejects(Object.assign(new Error('busy'), { response: { status: 503, headers: {} } }));
+    request.onSecondCall().resolves({ status: 201, data: {} });
+
+    startMetrics();
+    await withRetry(request, 'Commit', 'Commit');
+    flushMetrics();
+
+    const responses = documents().filter((document) => document.GitlabResponses);
+    expect(responses.map(({ StatusCode, GitlabResponses }) => [StatusCode, GitlabResponses]))
+      .to.deep.equal([['503', 1], ['201', 1]]);
+    const [latency] = documents().filter((document) => document.Operation === 'Commit');
+    expect(latency.GitlabLatency).to.have.length(2);
+  });
+
+  it('should count failed records by bucket, category and outcome', async () => {
+    secretsManagerMock.on(GetSecretValueCommand).resolves({ SecretString: JSON.stringify({ token: 'metrics-token' }) });
+    mockS3GetObjectError(new Error('Access Denied'));
+    const event = {
+      Records: [{
+        eventName: 'ObjectCreated:Put',
+        s3: { bucket: { name: 'metrics-bucket' }, object: { key: 'a.txt', size: 5 } }
+      }]
+    };
+
+    await handler(event).catch(() => {});
+
+    const records = documents().find((document) => document.Records);
+    expect(records).to.include({
+      Project: '123', Bucket: 'metrics-bucket', Category: 'create', Outcome: 'failed', Records: 1
+    });
+    const failed = documents().find((document) => document.FailedRecords !== undefined);
+    expect(failed._aws.CloudWatchMetrics[0].Dimensions).to.deep.equal([['Project']]);
+    expect(failed.FailedRecords).to.equal(1);
+  });
+
+  it('should count records without an event name without failing their SQS siblings', async () => {
+    secretsManagerMock.on(GetSecretValueCommand).resolves({ SecretString: JSON.stringify({ token: 'metrics-token' }) });
+    mockGitlabFileExists();
+    const message = (messageId, record) => ({
+      eventSource: 'aws:sqs',
+      messageId,
+      body: JSON.stringify(createS3Event(record))
+    });
+    const malformed = createS3Record(undefined, 'a.txt', { bucket: 'metrics-bucket' });
+    delete malformed.eventName;
+
+    const response = await handler({
+      Records: [
+        message('malformed', malformed),
+        message('valid', createS3Record('ObjectRemoved:Delete', 'b.txt', { bucket: 'metrics-bucket' }))
+      ]
+    });
+
+    expect(response.batchItemFailures).to.deep.equal([{ itemIdentifier: 'malformed' }]);
+    const records = documents().filter((document) => document.Records !== undefined && document.Bucket);
+    expect(records.map(({ Category, Outcome }) => `${Category} ${Outcome}`)).to.have.members(['unknown failed', 'remove processed']);
+  });
+
+  it('should record the size of committed objects only', async () => {
+    s3Mock.on(GetObjectCommand).callsFake(() => {
+      const stream = new Readable();
+      stream.push('mock file content');
+      stream.push(null);
+      return { Body: sdkStreamMixin(stream), ContentType: 'text/plain' };
+    });
+    mockGitlabFileExists('mock file content', 'same.txt');
+    const event = (...keys) => createS3Event(
+      ...keys.map((key) => createS3Record('ObjectCreated:Put', key, { bucket: 'size-bucket' }))
+    );
+    const sizes = () => documents().filter((document) => document.ObjectSize !== undefined);
+
+    await handler(event('same.txt', 'new.txt'));
+    expect(sizes().map(({ ObjectSize }) => ObjectSize)).to.deep.equal([17]);
+
+    logStub.resetHistory();
+    axiosPostStub.rejects(Object.assign(new Error('Bad Request'), { response: { status: 400 } }));
+    await handler(event('other.txt')).catch(() => {});
+    expect(sizes()).to.deep.equal([]);
+  });
+});
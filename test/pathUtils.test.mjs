@@ -0,0 +1,60 @@
+// test/pathUtils.test.mjs
+import { expect } from 'chai';
+import { isKeyIncluded, mapKeyToPath, matchesGlob } from '../utils/pathUtils.mjs';
+
+describe('Path utilities', () => {
+  describe('matchesGlob', () => {
+    it('should match patterns without a slash against the file name', () => {
+      expect(matchesGlob('jobs/run-1/_SUCCESS', '_SUCCESS')).to.be.true;
+      expect(matchesGlob('jobs/run-1/output.log', '*.log')).to.be.true;
+      expect(matchesGlob('jobs/run-1/output.csv', '*.log')).to.be.false;
+    });
+
+    it('should keep * within a segment and let ** cross directories', () => {
+      expect(matchesGlob('data/a/b.json', 'data/*.json')).to.be.false;
+      expect(matchesGlob('data/a/b.json', 'data/**/*.json')).to.be.true;
+      expect(matchesGlob('data/b.json', 'data/**/*.json')).to.be.true;
+      expect(matchesGlob('tmp/x/y', 'tmp/**')).to.be.true;
+    });
+  });
+
+  describe('mapKeyToPath', () => {
+    it('should keep the key when no rules are configured', () => {
+      expect(mapKeyToPath('a/b.txt')).to.equal('a/b.txt');
+    });
+
+    it('should strip a prefix and write into a target directory', () => {
+      const rules = [{ prefix: 'exports/2025/', targetDir: 'data/' }];
+      expect(mapKeyToPath('exports/2025/q1/report.csv', rules)).to.equal('data/q1/report.csv');
+    });
+
+    it('should apply regex capture and replace', () => {
+      const rules = [{ match: '^raw/(\\w+)/(.*)\\.json$', replace: 'json/$2-$1.json' }];
+      expect(mapKeyToPath('raw/eu/orders.json', rules)).to.equal('json/orders-eu.json');
+    });
+
+    it('should use the first matching rule and return null when none match', () => {
+      const rules = [
+        { prefix: 'exports/2025/', targetDir: 'data' },
+        { prefix: 'exports/' },
+      ];
+      expect(mapKeyToPath('exports/2025/a.txt', rules)).to.equal('data/a.txt');
+      expect(mapKeyToPath('exports/2024/a.txt', rules)).to.equal('2024/a.txt');
+      expect(mapKeyToPath('imports/a.txt', rules)).to.be.null;
+    });
+  });
+
+  describe('isKeyIncluded', () => {
+    it('should include every key when no filters are set', () => {
+      expect(isKeyIncluded('any/key.txt')).to.be.true;
+    });
+
+    it('should require an include match and let excludes win', () => {
+      const filters = { include: ['data/**'], exclude: ['*.tmp', '_SUCCESS'] };
+      expect(isKeyIncluded('data/part-0.csv', filters)).to.be.true;
+      expect(isKeyIncluded('data/part-0.csv.tmp', filters)).to.be.false;
+      expect(isKeyIncluded('data/run/_SUCCESS', filters)).to.be.false;
+      expect(isKeyIncluded('logs/run.log', filters)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// test/pipeline.test.mjs
+import { expect } from 'chai';
+import { handler } from '../index.mjs';
+import { buildPipelineVariables } from '../services/pipeline.mjs';
+import {
+  secretsManagerMock,
+  axiosPostStub,
+  mockGitlabFileExists,
+  GetSecretValueCommand,
+  createS3Record,
+  createS3Event,
+} from './test-helper.mjs';
+
+describe('Pipeline triggers', () => {
+  const projectUrl = 'https://gitlab.example.com/api/v4/projects/123';
+  const callsTo = (url) => axiosPostStub.getCalls().filter(({ args }) => args[0] === url);
+
+  beforeEach(() => {
+    process.env.TRIGGER_PIPELINE = 'true';
+    axiosPostStub.withArgs(`${projectUrl}/pipeline`).resolves({ data: { id: 42, web_url: 'https://gitlab.example.com/pipelines/42' } });
+    axiosPostStub.withArgs(`${projectUrl}/trigger/pipeline`).resolves({ data: { id: 43, web_url: 'https://gitlab.example.com/pipelines/43' } });
+  });
+
+  afterEach(() => {
+    delete process.env.TRIGGER_PIPELINE;
+    delete process.env.PIPELINE_NAME;
+    delete process.env.PIPELINE_VARIABLES;
+  });
+
+  it('should start a pipeline through the pipelines API after a commit', async () => {
+    process.env.PIPELINE_NAME = 'Validate data';
+    process.env.PIPELINE_VARIABLES = JSON.stringify({ TARGET: 'staging' });
+    mockGitlabFileExists(undefined, 'docs/b.txt');
+
+    const summary = await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt'), createS3Record('ObjectRemoved:Delete', 'docs/b.txt')));
+
+    const [trigger] = callsTo(`${projectUrl}/pipeline`);
+    expect(trigger.args[1]).to.deep.equal({
+      ref: 'main',
+      variables: [
+        { key: 'TARGET', value: 'staging' },
+        { key: 'S3_BUCKET', value: 'test-bucket' },
+        { key: 'S3_EVENT_TYPE', value: 'ObjectCreated:Put\nObjectRemoved:Delete' },
+        { key: 'S3_KEYS', value: 'docs/a.txt\ndocs/b.txt' },
+        { key: 'PIPELINE_NAME', value: 'Validate data' },
+      ],
+    });
+    expect(trigger.args[2].headers['PRIVATE-TOKEN']).to.equal('mock-gitlab-token');
+    expect(summary.pipeline).to.deep.equal({ id: 42, url: 'https://gitlab.example.com/pipelines/42' });
+  });
+
+  it('should use the trigger token from the secret when present', async () => {
+    secretsManagerMock.on(GetSecretValueCommand).resolves({
+      SecretString: JSON.stringify({ token: 'mock-gitlab-token', triggerToken: 'trigger-token' }),
+    });
+
+    const summary = await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt')));
+
+    const [trigger] = callsTo(`${projectUrl}/trigger/pipeline`);
+    expect(trigger.args[1]).to.deep.include({ token: 'trigger-token', ref: 'main' });
+    expect(trigger.args[1].variables.S3_KEYS).to.equal('docs/a.txt');
+    expect(trigger.args[2].headers).to.not.have.property('PRIVATE-TOKEN');
+    expect(summary.pipeline.id).to.equal(43);
+  });
+
+  it('should not start a pipeline when nothing was committed', async () => {
+    const summary = await handler(createS3Event(createS3Record('ObjectRemoved:Delete', 'docs/missing.txt')));
+
+    expect(axiosPostStub.called).to.be.false;
+    expect(summary).to.not.have.property('pipeline');
+  });
+
+  it('should report a pipeline that failed to start without failing the sync', async () => {
+    const forbidden = new Error('Request failed with status code 403');
+    forbidden.response = { status: 403, data: { message: '403 Forbidden' } };
+    axiosPostStub.withArgs(`${projectUrl}/pipeline`).rejects(forbidden);
+
+    const summary = await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt')));
+
+    expect(summary.processed).to.equal(1);
+    expect(summary.pipeline).to.deep.equal({ error: 'Request failed with status code 403' });
+  });
+
+  it('should describe a reconcile by its prefix', () => {
+    expect(buildPipelineVariables({ buckets: ['b'], eventTypes: ['Reconcile'], prefix: 'data/' })).to.deep.equal({
+      S3_BUCKET: 'b',
+      S3_EVENT_TYPE: 'Reconcile',
+      S3_PREFIX: 'data/',
+    });
+  });
+});
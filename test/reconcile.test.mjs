@@ -0,0 +1,177 @@
+// test/reconcile.test.mjs
+import { expect } from 'chai';
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+import { sdkStreamMixin } from '@aws-sdk/util-stream-node';
+import { ListObjectsV2Command } from '@aws-sdk/client-s3';
+import sinon from 'sinon';
+import { handler } from '../index.mjs';
+import {
+  s3Mock,
+  axiosPostStub,
+  axiosGetStub,
+  mockGitlabFileExists,
+  GetObjectCommand,
+} from './test-helper.mjs';
+
+const gitBlobId = (content) => createHash('sha1').update(`blob ${Buffer.byteLength(content)}\0`).update(content).digest('hex');
+
+describe('Bucket reconciliation', () => {
+  const treeUrl = 'https://gitlab.example.com/api/v4/projects/123/repository/tree';
+
+  // Serves the given objects from S3 and the given files from the branch
+  const mockState = (objects, files) => {
+    s3Mock.on(ListObjectsV2Command).resolves({
+      Contents: Object.entries(objects).map(([Key, content]) => ({ Key, Size: Buffer.byteLength(content) })),
+    });
+    for (const [Key, content] of Object.entries(objects)) {
+      s3Mock.on(GetObjectCommand, { Key }).callsFake(() => ({
+        Body: sdkStreamMixin(Readable.from([Buffer.from(content)])),
+        ContentType: 'text/plain',
+      }));
+    }
+    axiosGetStub.withArgs(treeUrl).resolves({
+      headers: {},
+      data: Object.entries(files).map(([path, content]) => ({ type: 'blob', path, id: gitBlobId(content) })),
+    });
+    for (const path of Object.keys(files)) {
+      mockGitlabFileExists(files[path], path);
+    }
+  };
+
+  afterEach(() => {
+    delete process.env.RECONCILE_BUCKET;
+    delete process.env.RECONCILE_PREFIX;
+    delete process.env.PATH_MAPPINGS;
+  });
+
+  it('should commit only the differences and report them', async () => {
+    mockState(
+      { 'docs/new.txt': 'new', 'docs/changed.txt': 'changed', 'docs/same.txt': 'same' },
+      { 'docs/changed.txt': 'old', 'docs/same.txt': 'same', 'docs/stale.txt': 'stale', 'README.md': 'keep' }
+    );
+
+    const report = await handler({ action: 'reconcile', bucket: 'test-bucket', prefix: 'docs/' });
+
+    expect(axiosGetStub.withArgs(treeUrl).firstCall.args[1].params).to.include({ ref: 'main', path: 'docs', recursive: true });
+    expect(axiosPostStub.calledOnce).to.be.true;
+    expect(axiosPostStub.firstCall.args[1].actions.map(({ action, file_path }) => `${action} ${file_path}`)).to.deep.equal([
+      'create docs/new.txt',
+      'update docs/changed.txt',
+      'delete docs/stale.txt',
+    ]);
+    expect(report).to.deep.include({
+      bucketName: 'test-bucket',
+      prefix: 'docs/',
+      created: ['docs/new.txt'],
+      updated: ['docs/changed.txt'],
+      deleted: ['docs/stale.txt'],
+      unchanged: 1,
+      skipped: [],
+    });
+  });
+
+  it('should only delete files under the targetDir of the path mappings', async () => {
+    process.env.PATH_MAPPINGS = JSON.stringify([{ prefix: 'site/', targetDir: 'public' }]);
+    mockState(
+      { 'site/index.html': 'index' },
+      { 'public/index.html': 'index', 'public/old.html': 'old', 'README.md': 'keep' }
+    );
+
+    const report = await handler({ action: 'reconcile', bucket: 'test-bucket', prefix: 'site/' });
+
+    expect(axiosGetStub.withArgs(treeUrl).firstCall.args[1].params).to.include({ path: 'public' });
+    expect(report.deleted).to.deep.equal(['public/old.html']);
+    expect(axiosPostStub.firstCall.args[1].actions.map(({ file_path }) => file_path)).to.deep.equal(['public/old.html']);
+  });
+
+  it('should not delete across the whole branch', async () => {
+    process.env.PATH_MAPPINGS = JSON.stringify([{ match: '\\.md$' }]);
+    mockState({ 'notes.md': 'notes' }, { 'notes.md': 'notes', 'README.md': 'keep' });
+    const mapped = await handler({ action: 'reconcile', bucket: 'test-bucket' });
+
+    delete process.env.PATH_MAPPINGS;
+    const unmapped = await handler({ action: 'reconcile', bucket: 'test-bucket' });
+
+    expect(mapped.deleted).to.deep.equal([]);
+    expect(unmapped.deleted).to.deep.equal([]);
+    expect(axiosPostStub.called).to.be.false;
+  });
+
+  it('should split the changes into commits of chunkSize actions', async () => {
+    mockState({ 'a.txt': 'a', 'b.txt': 'b', 'c.txt': 'c' }, {});
+    axiosPostStub.onFirstCall().resolves({ data: { id: 'commit-1' } });
+    axiosPostStub.onSecondCall().resolves({ data: { id: 'commit-2' } });
+
+    const report = await handler({ action: 'reconcile', bucket: 'test-bucket', chunkSize: 2 });
+
+    expect(axiosPostStub.calledTwice).to.be.true;
+    expect(axiosPostStub.firstCall.args[1].actions).to.have.length(2);
+    expect(axiosPostStub.secondCall.args[1].actions).to.have.length(1);
+    expect(report.commits).to.deep.equal(['commit-1', 'commit-2']);
+  });
+
+  it('should send a commit early once its staged objects reach chunkBytes', async () => {
+    mockState({ 'a.txt': 'aaaa', 'b.txt': 'bbbb', 'c.txt': 'c' }, {});
+    axiosPostStub.onFirstCall().resolves({ data: { id: 'commit-1' } });
+    axiosPostStub.onSecondCall().resolves({ data: { id: 'commit-2' } });
+
+    const report = await handler({ action: 'reconcile', bucket: 'test-bucket', chunkBytes: 8 });
+
+    expect(axiosPostStub.firstCall.args[1].actions.map(({ file_path }) => file_path)).to.deep.equal(['a.txt', 'b.txt']);
+    expect(axiosPostStub.secondCall.args[1].actions.map(({ file_path }) => file_path)).to.deep.equal(['c.txt']);
+    expect(report.commits).to.deep.equal(['commit-1', 'commit-2']);
+  });
+
+  it('should not commit when the branch already matches', async () => {
+    mockState({ 'a.txt': 'a' }, { 'a.txt': 'a' });
+
+    const report = await handler({ action: 'reconcile', bucket: 'test-bucket' });
+
+    expect(axiosPostStub.called).to.be.false;
+    expect(report.unchanged).to.equal(1);
+    expect(report.commits).to.deep.equal([]);
+  });
+
+  it('should keep files of filtered objects and report them as skipped', async () => {
+    process.env.EXCLUDE_PATTERNS = JSON.stringify(['*.tmp']);
+    mockState({ 'scratch.tmp': 'new', 'folder/': '' }, { 'scratch.tmp': 'old' });
+
+    try {
+      const report = await handler({ action: 'reconcile', bucket: 'test-bucket' });
+
+      expect(axiosPostStub.called).to.be.false;
+      expect(report.skipped).to.deep.equal([{ key: 'scratch.tmp', reason: 'excluded by key filters' }]);
+    } finally {
+      delete process.env.EXCLUDE_PATTERNS;
+    }
+  });
+
+  it('should run from an EventBridge schedule using the configured bucket', async () => {
+    process.env.RECONCILE_BUCKET = 'scheduled-bucket';
+    process.env.RECONCILE_PREFIX = 'data/';
+    mockState({ 'data/a.txt': 'a' }, {});
+
+    const report = await handler({ source: 'aws.events', 'detail-type': 'Scheduled Event', detail: {} });
+
+    expect(s3Mock.commandCalls(ListObjectsV2Command)[0].args[0].input).to.include({ Bucket: 'scheduled-bucket', Prefix: 'data/' });
+    expect(report.created).to.deep.equal(['data/a.txt']);
+  });
+
+  it('should page through the repository tree', async () => {
+    mockState({}, {});
+    axiosGetStub.withArgs(treeUrl, sinon.match({ params: { page: 1 } })).resolves({
+      headers: { 'x-next-page': '2' },
+      data: [{ type: 'blob', path: 'docs/one.txt', id: 'x' }, { type: 'tree', path: 'docs/dir', id: 'y' }],
+    });
+    axiosGetStub.withArgs(treeUrl, sinon.match({ params: { page: 2 } })).resolves({
+      headers: { 'x-next-page': '' },
+      data: [{ type: 'blob', path: 'docs/dir/two.txt', id: 'z' }],
+    });
+    mockGitlabFileExists();
+
+    const report = await handler({ action: 'reconcile', bucket: 'test-bucket', prefix: 'docs/' });
+
+    expect(report.deleted).to.deep.equal(['docs/one.txt', 'docs/dir/two.txt']);
+  });
+});
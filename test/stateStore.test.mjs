@@ -0,0 +1,112 @@
+// test/stateStore.test.mjs
+import { expect } from 'chai';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { mockClient } from 'aws-sdk-client-mock';
+import { DynamoDBClient, GetItemCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { createDynamoStateStore, createFileStateStore, createMemoryStateStore, getStateStore } from '../services/stateStore.mjs';
+import { compareSequencers, createSequenceGuard } from '../utils/sequencerUtils.mjs';
+
+describe('Sequencer state', () => {
+  describe('compareSequencers', () => {
+    it('should pad the shorter sequencer with zeros on the right before comparing', () => {
+      expect(compareSequencers('0055AED6DCD90281E5', '0055AED6DCD90281E6')).to.equal(-1);
+      // A newer, shorter sequencer sorts after an older, longer one
+      expect(compareSequencers('0055B0000000000000', '0055AED6DCD90281E6AB')).to.equal(1);
+      expect(compareSequencers('0055AED6DCD90281E6AB', '0055AED6DCD90281E6')).to.equal(1);
+      expect(compareSequencers('0055aed6dcd90281e6', '0055AED6DCD90281E600')).to.equal(0);
+    });
+  });
+
+  describe('createSequenceGuard', () => {
+    const record = (objectKey, sequencer) => ({ bucketName: 'bucket', objectKey, sequencer });
+
+    it('should treat events at or before the stored sequencer as stale', async () => {
+      const guard = createSequenceGuard(createMemoryStateStore({ 'bucket/a.txt': '0A' }));
+      expect(await guard.isStale(record('a.txt', '09'))).to.be.true;
+      expect(await guard.isStale(record('a.txt', '0A'))).to.be.true;
+      expect(await guard.isStale(record('a.txt', '0B'))).to.be.false;
+      expect(await guard.isStale(record('b.txt', '01'))).to.be.false;
+    });
+
+    it('should compare against newer events accepted earlier in the batch and save them', async () => {
+      const store = createMemoryStateStore();
+      const guard = createSequenceGuard(store);
+      guard.accept(record('a.txt', '20'));
+      expect(await guard.isStale(record('a.txt', '10'))).to.be.true;
+
+      await guard.save();
+      expect(await store.get('bucket/a.txt')).to.equal('20');
+    });
+
+    it('should never report stale without a store or sequencer', async () => {
+      expect(await createSequenceGuard(null).isStale(record('a.txt', '01'))).to.be.false;
+      expect(await createSequenceGuard(createMemoryStateStore({ 'bucket/a.txt': '0A' })).isStale(record('a.txt'))).to.be.false;
+    });
+  });
+
+  describe('createFileStateStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 's3-to-gitlab-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should persist sequencers between store instances', async () => {
+      const filePath = join(directory, 'state.json');
+      expect(await createFileStateStore(filePath).get('bucket/a.txt')).to.be.undefined;
+
+      await createFileStateStore(filePath).put('bucket/a.txt', '0A');
+      expect(await createFileStateStore(filePath).get('bucket/a.txt')).to.equal('0A');
+    });
+  });
+
+  describe('createDynamoStateStore', () => {
+    const dynamoMock = mockClient(DynamoDBClient);
+
+    beforeEach(() => {
+      dynamoMock.reset();
+    });
+
+    it('should read the sequencer with a consistent read', async () => {
+      dynamoMock.on(GetItemCommand).resolves({ Item: { objectKey: { S: 'bucket/a.txt' }, sequencer: { S: '0A' } } });
+
+      const sequencer = await createDynamoStateStore('sequencers').get('bucket/a.txt');
+
+      expect(sequencer).to.equal('0A');
+      expect(dynamoMock.commandCalls(GetItemCommand)[0].args[0].input).to.deep.include({
+        TableName: 'sequencers',
+        Key: { objectKey: { S: 'bucket/a.txt' } },
+        ConsistentRead: true,
+      });
+    });
+
+    it('should write conditionally and ignore a newer recorded sequencer', async () => {
+      const conditionFailed = new Error('The conditional request failed');
+      conditionFailed.name = 'ConditionalCheckFailedException';
+      dynamoMock.on(PutItemCommand).rejects(conditionFailed);
+
+      await createDynamoStateStore('sequencers').put('bucket/a.txt', '0A');
+
+      const input = dynamoMock.commandCalls(PutItemCommand)[0].args[0].input;
+      expect(input.ConditionExpression).to.equal('attribute_not_exists(objectKey) OR sequencer < :sequencer');
+      expect(input.Item.sequencer.S).to.equal('0A'.padEnd(32, '0'));
+    });
+
+    it('should share one client between invocations', async () => {
+      dynamoMock.on(GetItemCommand).resolves({});
+
+      await getStateStore({ tableName: 'sequencers' }).get('bucket/a.txt');
+      await getStateStore({ tableName: 'sequencers' }).get('bucket/b.txt');
+
+      const [first, second] = dynamoMock.send.getCalls().map(({ thisValue }) => thisValue);
+      expect(first).to.be.instanceOf(DynamoDBClient);
+      expect(second).to.equal(first);
+    });
+  });
+});
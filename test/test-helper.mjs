@@ -2,11 +2,12 @@
 import { before, after, beforeEach, afterEach } from 'mocha'; // Added afterEach
 import { mockClient } from 'aws-sdk-client-mock';
 import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
-import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
 import { sdkStreamMixin } from '@aws-sdk/util-stream-node';
 import { Readable } from 'stream';
 import sinon from 'sinon'; // Added sinon
 import axios from 'axios'; // Import axios to stub its methods
+import { createHash } from 'crypto';
 
 // Store original environment variables
 const originalEnv = { ...process.env };
@@ -19,6 +20,8 @@ before(() => {
   process.env.GITLAB_PROJECT_ID = '123';
   process.env.GITLAB_BRANCH = 'main';
   process.env.AWS_REGION = 'us-east-1';
+  // Every test sees its own mocked secret
+  process.env.SECRET_CACHE_TTL_MS = '0';
 });
 
 after(() => {
@@ -34,6 +37,8 @@ const s3Mock = mockClient(S3Client);
 let axiosPostStub;
 let axiosPutStub;
 let axiosDeleteStub;
+let axiosHeadStub;
+let axiosGetStub;
 
 beforeEach(() => {
   // Reset AWS mocks
@@ -55,11 +60,22 @@ beforeEach(() => {
     ContentType: 'text/plain',
   });
 
+  // Default successful mock for S3 HeadObject
+  s3Mock.on(HeadObjectCommand).resolves({
+    ContentLength: 17,
+    ContentType: 'text/plain',
+  });
+
   // Stub Axios methods BEFORE each test
   // Use sandbox for easier restore, though manual stubbing works too
   axiosPostStub = sinon.stub(axios, 'post').resolves({ status: 201, data: { message: 'File created' } });
   axiosPutStub = sinon.stub(axios, 'put').resolves({ status: 200, data: { message: 'File updated' } });
   axiosDeleteStub = sinon.stub(axios, 'delete').resolves({ status: 204, data: {} }); // 204 No Content is common for DELETE
+  // Files are missing from the repository unless a test says otherwise
+  const notFoundError = new Error('Request failed with status code 404');
+  notFoundError.response = { status: 404, data: { message: '404 File Not Found' } };
+  axiosHeadStub = sinon.stub(axios, 'head').rejects(notFoundError);
+  axiosGetStub = sinon.stub(axios, 'get').rejects(notFoundError);
 });
 
 afterEach(() => {
@@ -67,6 +83,8 @@ afterEach(() => {
   axiosPostStub.restore();
   axiosPutStub.restore();
   axiosDeleteStub.restore();
+  axiosHeadStub.restore();
+  axiosGetStub.restore();
 });
 
 // --- NEW Helper Functions for Error Mocking ---
@@ -90,6 +108,26 @@ const mockAxiosDeleteError = (error) => {
   axiosDeleteStub.rejects(error);
 };
 
+// Reports a file as present on the branch, optionally holding the given content.
+// Pass a filePath to limit this to one file; other paths stay missing.
+const mockGitlabFileExists = (content, filePath) => {
+  const headers = content === undefined
+    ? {}
+    : { 'x-gitlab-content-sha256': createHash('sha256').update(content).digest('hex') };
+  const stub = filePath ? axiosHeadStub.withArgs(sinon.match(encodeURIComponent(filePath))) : axiosHeadStub;
+  stub.resolves({ status: 200, headers });
+};
+
+// One record of a classic S3 notification. Extra s3.object fields, e.g. size or sequencer, go in `object`
+const createS3Record = (eventName, key, { bucket = 'test-bucket', object = {} } = {}) => ({
+  eventName,
+  userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' },
+  s3: { bucket: { name: bucket }, object: { key, ...object } },
+});
+
+// A classic S3 notification carrying the given records
+const createS3Event = (...records) => ({ Records: records });
+
 
 // Export mocks, stubs, AND helper functions for use in tests
 export {
@@ -98,11 +136,17 @@ export {
   axiosPostStub,
   axiosPutStub,
   axiosDeleteStub,
+  axiosHeadStub,
+  axiosGetStub,
   mockSecretsManagerError,
   mockS3GetObjectError,
   mockAxiosPostError,
   mockAxiosPutError,
   mockAxiosDeleteError,
+  mockGitlabFileExists,
+  createS3Record,
+  createS3Event,
   GetObjectCommand,
+  HeadObjectCommand,
   GetSecretValueCommand
 };
@@ -0,0 +1,143 @@
+// test/tokenRotation.test.mjs
+import { expect } from 'chai';
+import sinon from 'sinon';
+import axios from 'axios';
+import { handler } from '../index.mjs';
+import { checkTokenExpiry } from '../services/tokenExpiry.mjs';
+import {
+  secretsManagerMock,
+  axiosPostStub,
+  axiosGetStub,
+  GetSecretValueCommand,
+  createS3Record,
+  createS3Event,
+} from './test-helper.mjs';
+
+describe('GitLab token rotation and expiry', () => {
+  const apiUrl = 'https://gitlab.example.com/api/v4';
+  const unauthorized = (token) => {
+    const error = new Error('Request failed with status code 401');
+    error.response = { status: 401, data: { message: '401 Unauthorized' } };
+    error.config = { method: 'post', url: `${apiUrl}/projects/123/repository/commits`, headers: { 'PRIVATE-TOKEN': token } };
+    return error;
+  };
+  const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  let axiosRequestStub;
+  let warnSpy;
+
+  beforeEach(() => {
+    axiosRequestStub = sinon.stub(axios, 'request').resolves({ status: 201, data: { id: 'abc' } });
+    warnSpy = sinon.spy(console, 'warn');
+  });
+
+  afterEach(() => {
+    axiosRequestStub.restore();
+    warnSpy.restore();
+  });
+
+  it('should retry a 401 with the rotated AWSCURRENT token', async () => {
+    secretsManagerMock.on(GetSecretValueCommand).resolvesOnce({ SecretString: JSON.stringify({ token: 'stale-token' }) })
+      .resolves({ SecretString: JSON.stringify({ token: 'rotated-token' }) });
+    axiosPostStub.rejects(unauthorized('stale-token'));
+
+    const summary = await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt')));
+
+    expect(summary.processed).to.equal(1);
+    expect(axiosRequestStub.calledOnce).to.be.true;
+    expect(axiosRequestStub.firstCall.args[0].headers['PRIVATE-TOKEN']).to.equal('rotated-token');
+  });
+
+  it('should send later commits with the rotated token', async () => {
+    process.env.COMMIT_AUTHORS = JSON.stringify({ 'AWS:ALICE': { name: 'Alice', email: 'alice@example.com' } });
+    secretsManagerMock.on(GetSecretValueCommand).resolvesOnce({ SecretString: JSON.stringify({ token: 'stale-token' }) })
+      .resolves({ SecretString: JSON.stringify({ token: 'rotated-token' }) });
+    axiosPostStub.onFirstCall().rejects(unauthorized('stale-token'));
+    const alice = createS3Record('ObjectCreated:Put', 'docs/a.txt');
+    alice.userIdentity.principalId = 'AWS:ALICE';
+
+    try {
+      await handler(createS3Event(alice, createS3Record('ObjectCreated:Put', 'docs/b.txt')));
+    } finally {
+      delete process.env.COMMIT_AUTHORS;
+    }
+
+    expect(axiosRequestStub.calledOnce).to.be.true;
+    expect(axiosPostStub.secondCall.args[1].actions[0].file_path).to.equal('docs/b.txt');
+    expect(axiosPostStub.secondCall.args[2].headers['PRIVATE-TOKEN']).to.equal('rotated-token');
+  });
+
+  it('should use the rotated token for the sync branch in merge request mode', async () => {
+    process.env.MERGE_REQUEST_BRANCH = 's3-sync';
+    process.env.TRIGGER_PIPELINE = 'true';
+    secretsManagerMock.on(GetSecretValueCommand).resolvesOnce({ SecretString: JSON.stringify({ token: 'stale-token' }) })
+      .resolves({ SecretString: JSON.stringify({ token: 'rotated-token' }) });
+    axiosPostStub.withArgs(sinon.match(/\/repository\/commits$/)).rejects(unauthorized('stale-token'));
+    axiosPostStub.withArgs(sinon.match(/\/merge_requests$/)).resolves({ data: { iid: 7, web_url: 'https://gitlab.example.com/mr/7' } });
+    axiosGetStub.withArgs(sinon.match(/\/repository\/compare$/)).resolves({ data: { diffs: [] } });
+    axiosGetStub.withArgs(sinon.match(/\/merge_requests$/)).resolves({ data: [] });
+
+    try {
+      await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt')));
+    } finally {
+      delete process.env.MERGE_REQUEST_BRANCH;
+      delete process.env.TRIGGER_PIPELINE;
+    }
+
+    const [pipeline] = axiosPostStub.getCalls().filter(({ args }) => args[0].endsWith('/pipeline'));
+    expect(pipeline.args[1].ref).to.equal('s3-sync');
+    expect(pipeline.args[2].headers['PRIVATE-TOKEN']).to.equal('rotated-token');
+  });
+
+  it('should fall back to the AWSPENDING token during a rotation', async () => {
+    secretsManagerMock.on(GetSecretValueCommand, { VersionStage: 'AWSCURRENT' })
+      .resolves({ SecretString: JSON.stringify({ token: 'old-token' }) });
+    secretsManagerMock.on(GetSecretValueCommand, { VersionStage: 'AWSPENDING' })
+      .resolves({ SecretString: JSON.stringify({ token: 'pending-token' }) });
+    axiosPostStub.rejects(unauthorized('old-token'));
+
+    await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt')));
+
+    const stages = secretsManagerMock.commandCalls(GetSecretValueCommand).map(({ args }) => args[0].input.VersionStage);
+    expect(stages).to.deep.equal(['AWSCURRENT', 'AWSCURRENT', 'AWSPENDING']);
+    expect(axiosRequestStub.firstCall.args[0].headers['PRIVATE-TOKEN']).to.equal('pending-token');
+  });
+
+  it('should fail the records when the secret holds no working token', async () => {
+    secretsManagerMock.on(GetSecretValueCommand).resolves({ SecretString: JSON.stringify({ token: 'revoked-token' }) });
+    axiosPostStub.rejects(unauthorized('revoked-token'));
+
+    let error = null;
+    try { await handler(createS3Event(createS3Record('ObjectCreated:Put', 'docs/a.txt'))); } catch (e) { error = e; }
+
+    expect(error.response.status).to.equal(401);
+    expect(axiosRequestStub.called).to.be.false;
+  });
+
+  it('should warn when the expiry in the secret is near', async () => {
+    const result = await checkTokenExpiry({ apiUrl, token: 'secret-expiry-token' }, { expiresAt: daysFromNow(3) }, 14);
+
+    expect(result.daysLeft).to.be.within(2, 3);
+    expect(warnSpy.calledWithMatch(/GitLab token expires on/)).to.be.true;
+    expect(axiosGetStub.called).to.be.false;
+  });
+
+  it('should read the expiry from GitLab and check each token once', async () => {
+    axiosGetStub.withArgs(`${apiUrl}/personal_access_tokens/self`).resolves({ data: { expires_at: daysFromNow(60) } });
+
+    const first = await checkTokenExpiry({ apiUrl, token: 'gitlab-expiry-token' }, {}, 14);
+    const second = await checkTokenExpiry({ apiUrl, token: 'gitlab-expiry-token' }, {}, 14);
+
+    expect(first.daysLeft).to.be.within(59, 60);
+    expect(second).to.be.null;
+    expect(axiosGetStub.calledOnce).to.be.true;
+    expect(warnSpy.calledWithMatch(/GitLab token expires on/)).to.be.false;
+  });
+
+  it('should carry on when the expiry cannot be read', async () => {
+    const result = await checkTokenExpiry({ apiUrl, token: 'unreadable-expiry-token' }, {}, 14);
+
+    expect(result).to.be.null;
+    expect(warnSpy.calledWithMatch('Could not read the GitLab token expiry')).to.be.true;
+  });
+});
@@ -0,0 +1,46 @@
+// test/warmStart.test.mjs
+import { expect } from 'chai';
+import sinon from 'sinon';
+import axios from 'axios';
+import { handler } from '../index.mjs';
+import {
+  secretsManagerMock,
+  GetSecretValueCommand,
+} from './test-helper.mjs';
+
+describe('Warm-start reuse', () => {
+  const testEvent = { Records: [{ eventName: 's3:TestEvent', s3: { bucket: { name: 'test-bucket' } } }] };
+  let clock;
+  let secretId;
+
+  beforeEach(() => {
+    // The cache is keyed by secret, so a secret of its own keeps it away from other tests
+    secretId = process.env.SECRET_ID;
+    process.env.SECRET_ID = 'arn:aws:secretsmanager:us-east-1:123456789012:secret:warm-start-secret';
+    process.env.SECRET_CACHE_TTL_MS = '60000';
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+    process.env.SECRET_ID = secretId;
+    process.env.SECRET_CACHE_TTL_MS = '0';
+  });
+
+  it('should reuse the secret until the TTL passes', async () => {
+    secretsManagerMock.on(GetSecretValueCommand).resolves({ SecretString: JSON.stringify({ token: 'warm-token' }) });
+
+    await handler(testEvent);
+    await handler(testEvent);
+    expect(secretsManagerMock.commandCalls(GetSecretValueCommand)).to.have.length(1);
+
+    clock.tick(60001);
+    await handler(testEvent);
+    expect(secretsManagerMock.commandCalls(GetSecretValueCommand)).to.have.length(2);
+  });
+
+  it('should keep GitLab connections alive', () => {
+    expect(axios.defaults.httpsAgent.keepAlive).to.be.true;
+    expect(axios.defaults.httpAgent.keepAlive).to.be.true;
+  });
+});
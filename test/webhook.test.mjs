@@ -0,0 +1,214 @@
+// test/webhook.test.mjs
+import { expect } from 'chai';
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+import { sdkStreamMixin } from '@aws-sdk/util-stream-node';
+import { DeleteObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { handler } from '../index.mjs';
+import { addSyncTrailer } from '../utils/commitMessageUtils.mjs';
+import {
+  secretsManagerMock,
+  s3Mock,
+  axiosPostStub,
+  axiosGetStub,
+  GetObjectCommand,
+  GetSecretValueCommand,
+  HeadObjectCommand,
+} from './test-helper.mjs';
+
+describe('GitLab push webhooks', () => {
+  const webhookToken = 'webhook-secret';
+  const projectUrl = 'https://gitlab.example.com/api/v4/projects/123';
+  const before = 'a'.repeat(40);
+  const after = 'b'.repeat(40);
+
+  const createWebhookEvent = (payload, headers = {}) => ({
+    requestContext: { http: { method: 'POST', path: '/' } },
+    headers: { 'x-gitlab-token': webhookToken, 'x-gitlab-event': 'Push Hook', ...headers },
+    body: JSON.stringify(payload),
+    isBase64Encoded: false,
+  });
+  const pushPayload = (overrides = {}) => ({ ref: 'refs/heads/main', before, after, commits: [], ...overrides });
+  const sha256 = (content) => createHash('sha256').update(content).digest('hex');
+  const serveFile = (path, content) => {
+    axiosGetStub.withArgs(`${projectUrl}/repository/files/${encodeURIComponent(path)}/raw`).resolves({ data: Buffer.from(content) });
+  };
+
+  beforeEach(() => {
+    process.env.REVERSE_SYNC_BUCKET = 'reverse-bucket';
+    secretsManagerMock.on(GetSecretValueCommand).resolves({
+      SecretString: JSON.stringify({ token: 'mock-gitlab-token', webhookToken }),
+    });
+    const notFound = new Error('NotFound');
+    notFound.name = 'NotFound';
+    s3Mock.on(HeadObjectCommand).rejects(notFound);
+    s3Mock.on(PutObjectCommand).resolves({});
+    s3Mock.on(DeleteObjectCommand).resolves({});
+  });
+
+  afterEach(() => {
+    delete process.env.REVERSE_SYNC_BUCKET;
+    delete process.env.REVERSE_PATH_MAPPINGS;
+  });
+
+  it('should reject requests without the webhook token', async () => {
+    const response = await handler(createWebhookEvent(pushPayload(), { 'x-gitlab-token': 'wrong' }));
+
+    expect(response.statusCode).to.equal(401);
+    expect(s3Mock.commandCalls(PutObjectCommand)).to.have.length(0);
+  });
+
+  it('should write changed files and delete removed ones', async () => {
+    axiosGetStub.withArgs(`${projectUrl}/repository/compare`).resolves({
+      data: {
+        diffs: [
+          { old_path: 'docs/a.txt', new_path: 'docs/a.txt', new_file: true },
+          { old_path: 'docs/old.txt', new_path: 'docs/new.txt', renamed_file: true },
+          { old_path: 'docs/gone.txt', new_path: 'docs/gone.txt', deleted_file: true },
+        ],
+      },
+    });
+    serveFile('docs/a.txt', 'A');
+    serveFile('docs/new.txt', 'N');
+
+    const response = await handler(createWebhookEvent(pushPayload()));
+
+    expect(response.statusCode).to.equal(200);
+    expect(JSON.parse(response.body)).to.deep.equal({
+      commit: after,
+      written: ['docs/a.txt', 'docs/new.txt'],
+      deleted: ['docs/old.txt', 'docs/gone.txt'],
+      skipped: [],
+    });
+    const compareCall = axiosGetStub.withArgs(`${projectUrl}/repository/compare`).firstCall;
+    expect(compareCall.args[1].params).to.include({ from: before, to: after });
+    const rawCall = axiosGetStub.withArgs(`${projectUrl}/repository/files/${encodeURIComponent('docs/a.txt')}/raw`).firstCall;
+    expect(rawCall.args[1].params).to.deep.equal({ ref: after, lfs: true });
+    const put = s3Mock.commandCalls(PutObjectCommand)[0].args[0].input;
+    expect(put).to.deep.include({
+      Bucket: 'reverse-bucket',
+      Key: 'docs/a.txt',
+      Metadata: { 'gitlab-path': 'docs%2Fa.txt', 'content-sha256': sha256('A') }
+    });
+    expect(put.Body.toString()).to.equal('A');
+    expect(s3Mock.commandCalls(DeleteObjectCommand).map(({ args }) => args[0].input.Key)).to.deep.equal(['docs/old.txt', 'docs/gone.txt']);
+    expect(axiosPostStub.called).to.be.false;
+  });
+
+  it('should use the payload commits for a new branch and map paths to keys', async () => {
+    process.env.REVERSE_PATH_MAPPINGS = JSON.stringify([{ prefix: 'site/', targetDir: 'public' }]);
+    serveFile('site/index.html', '<html></html>');
+
+    const response = await handler(createWebhookEvent(pushPayload({
+      before: '0'.repeat(40),
+      commits: [
+        { added: ['site/index.html', 'site/tmp.html'], modified: [], removed: [] },
+        { added: [], modified: [], removed: ['site/tmp.html'] },
+        { added: ['README.md'], modified: [], removed: [] },
+      ],
+    })));
+
+    expect(JSON.parse(response.body)).to.deep.include({
+      written: ['public/index.html'],
+      deleted: ['public/tmp.html'],
+      skipped: ['README.md'],
+    });
+  });
+
+  it('should not rewrite objects that already hold the pushed content', async () => {
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 1, Metadata: { 'content-sha256': sha256('A') } });
+    serveFile('a.txt', 'A');
+
+    const response = await handler(createWebhookEvent(pushPayload({
+      before: '0'.repeat(40),
+      commits: [{ added: ['a.txt'], modified: [], removed: [] }],
+    })));
+
+    expect(JSON.parse(response.body).skipped).to.deep.equal(['a.txt']);
+    expect(s3Mock.commandCalls(PutObjectCommand)).to.have.length(0);
+    expect(s3Mock.commandCalls(GetObjectCommand)).to.have.length(0);
+  });
+
+  it('should hash objects written elsewhere, whatever their ETag', async () => {
+    // Multipart and SSE-KMS ETags are not the content's MD5
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 1, ETag: '"0123456789abcdef0123456789abcdef-2"' });
+    s3Mock.on(GetObjectCommand).callsFake(() => ({ Body: sdkStreamMixin(Readable.from([Buffer.from('A')])) }));
+    serveFile('a.txt', 'A');
+    serveFile('b.txt', 'B');
+
+    const response = await handler(createWebhookEvent(pushPayload({
+      before: '0'.repeat(40),
+      commits: [{ added: ['a.txt', 'b.txt'], modified: [], removed: [] }],
+    })));
+
+    expect(JSON.parse(response.body)).to.deep.include({ written: ['b.txt'], skipped: ['a.txt'] });
+  });
+
+  it('should keep the content type and metadata of objects it overwrites', async () => {
+    s3Mock.on(HeadObjectCommand).resolves({
+      ContentLength: 3,
+      ContentType: 'text/markdown',
+      Metadata: { owner: 'docs-team', 'content-sha256': sha256('old') },
+    });
+    serveFile('a.md', 'new');
+
+    await handler(createWebhookEvent(pushPayload({
+      before: '0'.repeat(40),
+      commits: [{ added: [], modified: ['a.md'], removed: [] }],
+    })));
+
+    const put = s3Mock.commandCalls(PutObjectCommand)[0].args[0].input;
+    expect(put).to.deep.include({
+      ContentType: 'text/markdown',
+      Metadata: { owner: 'docs-team', 'gitlab-path': 'a.md', 'content-sha256': sha256('new') },
+    });
+  });
+
+  it('should leave files last changed by its own commits to S3', async () => {
+    axiosGetStub.withArgs(`${projectUrl}/repository/commits`).callsFake(async (url, { params }) => ({
+      data: [params.path === 'synced.txt'
+        ? { id: 'c1', message: addSyncTrailer('Pipeline Update - Object synced.txt ') }
+        : { id: 'c2', message: 'Edit in GitLab' }],
+    }));
+    serveFile('synced.txt', 'S');
+    serveFile('edited.txt', 'E');
+
+    const response = await handler(createWebhookEvent(pushPayload({
+      before: '0'.repeat(40),
+      commits: [{ added: [], modified: ['synced.txt', 'edited.txt'], removed: [] }],
+    })));
+
+    expect(JSON.parse(response.body)).to.deep.include({ written: ['edited.txt'], skipped: ['synced.txt'] });
+    expect(axiosGetStub.withArgs(`${projectUrl}/repository/files/synced.txt/raw`).called).to.be.false;
+  });
+
+  it('should ignore pushes to other branches and other hook types', async () => {
+    const otherBranch = await handler(createWebhookEvent(pushPayload({ ref: 'refs/heads/feature' })));
+    const tagPush = await handler(createWebhookEvent(pushPayload(), { 'x-gitlab-event': 'Tag Push Hook' }));
+
+    expect(otherBranch.statusCode).to.equal(200);
+    expect(tagPush.statusCode).to.equal(200);
+    expect(axiosGetStub.withArgs(`${projectUrl}/repository/compare`).called).to.be.false;
+    expect(s3Mock.commandCalls(PutObjectCommand)).to.have.length(0);
+  });
+
+  it('should not commit S3 events raised by its own writes', async () => {
+    s3Mock.on(GetObjectCommand).callsFake(() => ({
+      Body: sdkStreamMixin(Readable.from([Buffer.from('A')])),
+      ContentType: 'text/plain',
+      Metadata: { 'gitlab-path': 'docs%2Fa.txt' },
+    }));
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 1 });
+
+    const summary = await handler({
+      Records: [{
+        eventName: 'ObjectCreated:Put',
+        userIdentity: { principalId: 'AWS:EXAMPLE_PRINCIPAL_ID' },
+        s3: { bucket: { name: 'reverse-bucket' }, object: { key: 'docs/a.txt' } },
+      }],
+    });
+
+    expect(summary.skipped).to.equal(1);
+    expect(axiosPostStub.called).to.be.false;
+  });
+});
@@ -0,0 +1,21 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+/**
+ * Finds the commit author for the principal that changed an S3 object.
+ * Assumed-role principals (AWS:AROA...:session-name) also match an entry for the
+ * role without its session name.
+ * @param {string} [principalId] - S3 userIdentity.principalId
+ * @param {Object} [options]
+ * @param {Object<string, {name: string, email: string}>} [options.authors] - Principal to author map
+ * @param {{name: string, email: string}} [options.defaultAuthor] - Author for unmapped principals
+ * @returns {{name: string, email: string}|null} Author, or null to commit as the token owner
+ */
+export const resolveCommitAuthor = (principalId, { authors = {}, defaultAuthor } = {}) => {
+  if (principalId) {
+    if (authors[principalId]) return authors[principalId];
+    const roleId = principalId.split(':').slice(0, 2).join(':');
+    if (authors[roleId]) return authors[roleId];
+  }
+  return defaultAuthor || null;
+};
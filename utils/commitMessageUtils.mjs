@@ -0,0 +1,67 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+// Placeholders: {key} {path} {bucket} {eventName} {versionId} {eTag} {size} {principalId} {eventTime}
+export const DEFAULT_COMMIT_TEMPLATES = {
+  create: 'Pipeline Creation - Object {key} ',
+  update: 'Pipeline Update - Object {key} ',
+  copy: 'Pipeline Creation - Object {key} via Copy',
+  delete: 'Pipeline Deletion - Object {key} Removed',
+  deleteMarker: 'Pipeline Deletion - Delete Marker Created for {key}'
+};
+
+/**
+ * Replaces {name} placeholders with values. Missing values render as an empty
+ * string; unknown placeholders are left untouched.
+ * @param {string} template - Message template
+ * @param {Object} variables - Placeholder values
+ * @returns {string} Rendered message
+ */
+export const renderTemplate = (template, variables) => {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in variables)) return placeholder;
+    return variables[name] ?? '';
+  });
+};
+
+/**
+ * Renders the commit message for one kind of change to an object
+ * @param {string} kind - create, update, copy, delete or deleteMarker
+ * @param {Object} record - Normalized S3 record
+ * @param {string} repoPath - Repository path the object maps to
+ * @param {Object} [templates] - Configured templates, merged over the defaults
+ * @returns {string} Commit message
+ */
+export const buildCommitMessage = (kind, record, repoPath, templates = {}) => {
+  const template = { ...DEFAULT_COMMIT_TEMPLATES, ...templates }[kind];
+  return renderTemplate(template, {
+    key: record.objectKey,
+    path: repoPath,
+    bucket: record.bucketName,
+    eventName: record.eventName,
+    versionId: record.versionId,
+    eTag: record.eTag,
+    size: record.size,
+    principalId: record.principalId,
+    eventTime: record.eventTime
+  });
+};
+
+// Git trailer closing every commit message this function writes, so pushes can tell its commits apart
+export const SYNC_COMMIT_TRAILER = 'Synced-By: s3-to-gitlab';
+
+/**
+ * Appends the sync trailer to a commit message
+ * @param {string} message - Commit message
+ * @returns {string} Message ending with SYNC_COMMIT_TRAILER
+ */
+export const addSyncTrailer = (message) => `${message}\n\n${SYNC_COMMIT_TRAILER}`;
+
+/**
+ * Tells whether a commit message was written by this function
+ * @param {string} [message] - Commit message
+ * @returns {boolean} True if the message carries SYNC_COMMIT_TRAILER
+ */
+export const isSyncCommit = (message) => {
+  return (message || '').split('\n').some((line) => line.trim() === SYNC_COMMIT_TRAILER);
+};
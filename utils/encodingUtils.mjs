@@ -0,0 +1,89 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { matchesGlob } from './pathUtils.mjs';
+
+// Longest marks first, so UTF-32LE is not mistaken for UTF-16LE
+const byteOrderMarks = [
+  { charset: 'utf-32le', bytes: [0xff, 0xfe, 0x00, 0x00] },
+  { charset: 'utf-32be', bytes: [0x00, 0x00, 0xfe, 0xff] },
+  { charset: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { charset: 'utf-16le', bytes: [0xff, 0xfe] },
+  { charset: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+const binaryTypePrefixes = ['image/', 'audio/', 'video/', 'font/'];
+const binaryTypes = [
+  'application/zip', 'application/gzip', 'application/x-gzip', 'application/x-tar',
+  'application/x-7z-compressed', 'application/x-rar-compressed', 'application/pdf',
+  'application/wasm', 'application/x-parquet', 'application/vnd.apache.parquet'
+];
+
+export const getByteOrderMark = (buffer) => {
+  return byteOrderMarks.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)
+  )?.charset;
+};
+
+/**
+ * Tells whether a Content-Type names a binary format. application/octet-stream
+ * is not counted, since S3 clients use it as their default.
+ * @param {string} [contentType] - S3 ContentType
+ * @returns {boolean} True for binary media types
+ */
+export const isBinaryContentType = (contentType) => {
+  if (!contentType) return false;
+  const mediaType = contentType.toLowerCase().split(';')[0].trim();
+  return mediaType !== 'image/svg+xml' && (
+    binaryTypePrefixes.some((prefix) => mediaType.startsWith(prefix)) ||
+    binaryTypes.includes(mediaType) ||
+    (mediaType.startsWith('application/vnd.') && !/\+(json|xml)$/.test(mediaType))
+  );
+};
+
+// True when sending the bytes as a UTF-8 string gives back exactly the same bytes
+export const isUtf8RoundTrip = (buffer) => {
+  return Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+};
+
+/**
+ * Decides whether content can be committed with `text` encoding or must be base64.
+ * Text is only chosen when the bytes survive a UTF-8 round trip unchanged.
+ * @param {Buffer} buffer - Object content
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Repository path, matched against overrides
+ * @param {string} [options.contentType] - S3 ContentType
+ * @param {Object<string, string>} [options.overrides] - Glob to 'text' or 'base64'
+ * @returns {{ encoding: string, reason: string }} Chosen encoding and why
+ */
+export const detectEncoding = (buffer, { filePath, contentType, overrides } = {}) => {
+  const override = filePath && Object.entries(overrides || {})
+    .find(([pattern]) => matchesGlob(filePath, pattern))?.[1];
+  if (override === 'base64') {
+    return { encoding: 'base64', reason: 'override' };
+  }
+
+  const bom = getByteOrderMark(buffer);
+  if (bom && bom !== 'utf-8') {
+    return { encoding: 'base64', reason: `${bom} byte order mark` };
+  }
+
+  const roundTrip = isUtf8RoundTrip(buffer);
+  if (override === 'text') {
+    return roundTrip
+      ? { encoding: 'text', reason: 'override' }
+      : { encoding: 'base64', reason: 'override ignored, not valid UTF-8' };
+  }
+
+  if (buffer.includes(0)) {
+    return { encoding: 'base64', reason: 'null byte' };
+  }
+
+  if (isBinaryContentType(contentType)) {
+    return { encoding: 'base64', reason: `content type ${contentType}` };
+  }
+
+  return roundTrip
+    ? { encoding: 'text', reason: 'valid UTF-8' }
+    : { encoding: 'base64', reason: 'not valid UTF-8' };
+};
@@ -1,11 +1,171 @@
 // Copyright 2025 Deeply Digital Designs Inc. 
 // Licensed under the GPL 3.0 License - see LICENSE file for details.
 
+export const S3_TEST_EVENT = 's3:TestEvent';
+
 export const getEventCategory = (eventName) => {
+  if (eventName === S3_TEST_EVENT) return 'test';
   if (eventName.startsWith('ObjectCreated:')) return 'create';
   if (eventName.startsWith('ObjectRemoved:')) return 'remove';
   if (eventName.startsWith('ObjectRestore:')) return 'restore';
   if (eventName.startsWith('ReducedRedundancyLostObject:')) return 'rro';
   if (eventName.startsWith('Replication:')) return 'replication';
+  // Tags, ACLs and storage class changes leave the object's content as it was
+  if (/^(ObjectTagging:|ObjectAcl:|LifecycleTransition$|IntelligentTiering$)/.test(eventName)) return 'metadata';
   return 'unknown';
 };
+
+export const isSqsEvent = (event) => {
+  const records = event?.Records;
+  return Array.isArray(records) && records.length > 0 &&
+    records.every(({ eventSource }) => eventSource === 'aws:sqs');
+};
+
+// A { "action": "reconcile" } payload or an EventBridge schedule asks for a full reconcile
+export const isReconcileEvent = (event) => {
+  return event?.action === 'reconcile' ||
+    (event?.source === 'aws.events' && event['detail-type'] === 'Scheduled Event');
+};
+
+// A { "action": "replay" } payload retries the records kept by the failure sink
+export const isReplayEvent = (event) => {
+  return event?.action === 'replay';
+};
+
+// Lambda function URLs deliver HTTP requests, such as GitLab webhooks, with requestContext.http
+export const isHttpEvent = (event) => {
+  return Boolean(event?.requestContext?.http);
+};
+
+// EventBridge "reason" values mapped to the classic notification event names
+const eventBridgeCreateReasons = {
+  PutObject: 'ObjectCreated:Put',
+  'POST Object': 'ObjectCreated:Post',
+  CopyObject: 'ObjectCreated:Copy',
+  CompleteMultipartUpload: 'ObjectCreated:CompleteMultipartUpload'
+};
+
+const getEventBridgeEventName = (detailType, detail) => {
+  switch (detailType) {
+    case 'Object Created':
+      return eventBridgeCreateReasons[detail.reason] || `ObjectCreated:${detail.reason}`;
+    case 'Object Deleted':
+      return detail['deletion-type'] === 'Delete Marker Created'
+        ? 'ObjectRemoved:DeleteMarkerCreated'
+        : 'ObjectRemoved:Delete';
+    case 'Object Restore Initiated':
+      return 'ObjectRestore:Post';
+    case 'Object Restore Completed':
+      return 'ObjectRestore:Completed';
+    case 'Object Restore Expired':
+      return 'ObjectRestore:Delete';
+    case 'Object Tags Added':
+      return 'ObjectTagging:Put';
+    case 'Object Tags Deleted':
+      return 'ObjectTagging:Delete';
+    case 'Object ACL Updated':
+      return 'ObjectAcl:Put';
+    case 'Object Storage Class Changed':
+      return 'LifecycleTransition';
+    case 'Object Access Tier Changed':
+      return 'IntelligentTiering';
+    default:
+      return detailType;
+  }
+};
+
+/**
+ * Decodes an object key from a classic S3 notification, where keys are
+ * URL-encoded with spaces as '+'. EventBridge events carry the raw key.
+ * @param {string} [key] - Key as found in the notification
+ * @returns {string|undefined} Decoded key
+ */
+const decodeS3Key = (key) => (key === undefined ? key : decodeURIComponent(key.replace(/\+/g, ' ')));
+
+/**
+ * Builds the internal record from one entry of a classic S3 notification
+ * @param {Object} record - Entry of the notification's Records array
+ * @returns {Object} Normalized record
+ */
+const fromS3Record = ({ eventName, eventTime, userIdentity, s3 }) => ({
+  eventName,
+  eventTime,
+  principalId: userIdentity?.principalId,
+  bucketName: s3?.bucket?.name,
+  objectKey: decodeS3Key(s3?.object?.key),
+  versionId: s3?.object?.versionId,
+  eTag: s3?.object?.eTag,
+  size: s3?.object?.size,
+  sequencer: s3?.object?.sequencer
+});
+
+/**
+ * Builds the internal record from an EventBridge S3 event
+ * @param {Object} event - EventBridge event with source aws.s3
+ * @returns {Object} Normalized record
+ */
+const fromEventBridgeEvent = ({ 'detail-type': detailType, time, detail = {} }) => ({
+  eventName: getEventBridgeEventName(detailType, detail),
+  eventTime: time,
+  principalId: detail.requester,
+  bucketName: detail.bucket?.name,
+  objectKey: detail.object?.key,
+  versionId: detail.object?.['version-id'],
+  eTag: detail.object?.etag,
+  size: detail.object?.size,
+  sequencer: detail.object?.sequencer
+});
+
+/**
+ * Turns a classic S3 notification, an EventBridge S3 event or an s3:TestEvent
+ * into a list of records with one shape:
+ * { eventName, eventTime, principalId, bucketName, objectKey, versionId, eTag, size, sequencer }
+ * @param {Object} event - Event payload
+ * @returns {Object[]} Normalized records
+ * @throws {Error} If the payload is not a recognized S3 event format
+ */
+export const normalizeEvent = (event) => {
+  if (event?.Event === S3_TEST_EVENT) {
+    return [{ eventName: S3_TEST_EVENT, eventTime: event.Time, bucketName: event.Bucket }];
+  }
+  if (event?.source === 'aws.s3' && event['detail-type']) {
+    return [fromEventBridgeEvent(event)];
+  }
+  if (Array.isArray(event?.Records)) {
+    return event.Records.map(fromS3Record);
+  }
+  throw new Error('Unrecognized S3 event format');
+};
+
+// Returns the normalized S3 records carried in an SQS message body
+export const unwrapSqsMessage = (message) => {
+  const body = JSON.parse(message.body);
+  if (body === null || typeof body !== 'object') {
+    throw new Error(`SQS message ${message.messageId} does not contain an S3 event`);
+  }
+  return normalizeEvent(body);
+};
+
+/**
+ * Picks the identifiers of an event for error logs: SQS message ids, the
+ * EventBridge event id, the invocation action and the buckets and keys of S3
+ * records. Object contents, webhook bodies and headers are left out.
+ * @param {Object} event - Event payload
+ * @returns {Object} Identifiers found in the event
+ */
+export const describeEvent = (event) => {
+  const records = Array.isArray(event?.Records) ? event.Records : [];
+  if (isSqsEvent(event)) {
+    return { messageIds: records.map(({ messageId }) => messageId) };
+  }
+  // Classic records and EventBridge details both hold bucket.name and object.key
+  const objects = event?.detail?.object ? [event.detail] : records.map(({ s3 }) => s3).filter(Boolean);
+  const identifiers = {
+    action: event?.action,
+    eventId: event?.id,
+    bucket: event?.bucket,
+    buckets: objects.length > 0 ? [...new Set(objects.map(({ bucket }) => bucket?.name))] : undefined,
+    keys: objects.length > 0 ? objects.map(({ object }) => object?.key) : undefined
+  };
+  return Object.fromEntries(Object.entries(identifiers).filter(([, value]) => value !== undefined));
+};
@@ -0,0 +1,56 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { matchesGlob } from './pathUtils.mjs';
+
+export const GITATTRIBUTES_PATH = '.gitattributes';
+const LFS_ATTRIBUTES = 'filter=lfs diff=lfs merge=lfs -text';
+
+/**
+ * Decides whether a file is stored in Git LFS and which .gitattributes pattern
+ * tracks it. Files matched only by size are tracked by their exact path.
+ * @param {string} repoPath - Repository path of the file
+ * @param {number} size - File size in bytes
+ * @param {Object} [lfsConfig]
+ * @param {string[]} [lfsConfig.patterns] - Globs stored in LFS regardless of size
+ * @param {number} [lfsConfig.minSize] - Files of at least this many bytes are stored in LFS
+ * @returns {string|null} .gitattributes pattern, or null to commit the file as a plain blob
+ */
+export const getLfsPattern = (repoPath, size, { patterns = [], minSize } = {}) => {
+  const pattern = patterns.find((glob) => matchesGlob(repoPath, glob));
+  if (pattern) return pattern;
+  if (minSize && size >= minSize) {
+    // gitattributes patterns can't hold spaces; a leading slash anchors the path to the root
+    return `/${repoPath.replace(/\s/g, '[[:space:]]')}`;
+  }
+  return null;
+};
+
+/**
+ * Builds the pointer file committed in place of an LFS object
+ * @param {string} oid - SHA-256 of the object content, in hex
+ * @param {number} size - Object size in bytes
+ * @returns {string} Pointer file content
+ */
+export const buildLfsPointer = (oid, size) => {
+  return `version https://git-lfs.github.com/spec/v1\noid sha256:${oid}\nsize ${size}\n`;
+};
+
+/**
+ * Adds LFS tracking lines for the given patterns to .gitattributes content.
+ * Patterns that already carry the LFS filter are left alone.
+ * @param {string} [content] - Current .gitattributes content, if the file exists
+ * @param {string[]} patterns - .gitattributes patterns to track
+ * @returns {string|null} New content, or null when nothing needs to change
+ */
+export const addLfsAttributes = (content = '', patterns) => {
+  const tracked = new Set(content.split('\n')
+    .map((line) => line.trim().split(/\s+/))
+    .filter(([, ...attributes]) => attributes.includes('filter=lfs'))
+    .map(([pattern]) => pattern));
+  const missing = [...new Set(patterns)].filter((pattern) => !tracked.has(pattern));
+  if (missing.length === 0) return null;
+
+  const prefix = content && !content.endsWith('\n') ? `${content}\n` : content;
+  return `${prefix}${missing.map((pattern) => `${pattern} ${LFS_ATTRIBUTES}`).join('\n')}\n`;
+};
@@ -0,0 +1,78 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+
+// Fields whose values are never written: credentials always, file content unless LOG_REDACT is "false"
+const SECRET_FIELD = /token|secret|password|authorization|cookie/i;
+const CONTENT_FIELDS = new Set(['content', 'encodedContent', 'fileContent']);
+const REDACTED = '[redacted]';
+
+// Correlation fields (requestId, bucket, key) of the code currently running
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Runs fn with extra fields added to every line it logs, on top of the fields
+ * of any surrounding context
+ * @param {Object} fields - Fields such as requestId, bucket and key
+ * @param {Function} fn - Code to run
+ * @returns {*} Whatever fn returns
+ */
+export const runWithLogContext = (fields, fn) => {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  // GitLab's message explains the failure; the rest of its response body may echo request content
+  ...(error.response && {
+    status: error.response.status,
+    ...(error.response.data?.message && { gitlabMessage: error.response.data.message })
+  })
+});
+
+/**
+ * Copies a value for logging, replacing credentials, file content and raw bytes
+ * @param {*} value - Value to log
+ * @param {string} [field] - Name of the field holding the value
+ * @returns {*} JSON-safe copy
+ */
+export const redact = (value, field) => {
+  if (value === undefined || value === null) return value;
+  if (field && SECRET_FIELD.test(field)) return REDACTED;
+  if (field && CONTENT_FIELDS.has(field) && process.env.LOG_REDACT !== 'false') {
+    return value.length === undefined ? REDACTED : `[redacted ${value.length} bytes]`;
+  }
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (value instanceof Error) return serializeError(value);
+  if (Array.isArray(value)) return value.map((item) => redact(item));
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+  }
+  return value;
+};
+
+const threshold = () => LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS[DEFAULT_LEVEL];
+
+const write = (level, method) => (message, fields = {}) => {
+  if (LEVELS[level] < threshold()) return;
+  const line = { level, message, ...logContext.getStore(), ...redact(fields) };
+  console[method](JSON.stringify(line));
+};
+
+/**
+ * Writes one JSON object per line, carrying the level, the message, the
+ * surrounding log context and the given fields. LOG_LEVEL (debug, info, warn
+ * or error, default info) sets the lowest level written.
+ */
+export const logger = {
+  debug: write('debug', 'log'),
+  info: write('info', 'log'),
+  warn: write('warn', 'warn'),
+  error: write('error', 'error')
+};
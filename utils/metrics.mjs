@@ -0,0 +1,99 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+const DEFAULT_NAMESPACE = 'S3ToGitlab';
+// EMF accepts at most 100 values per metric in one document
+const MAX_VALUES_PER_DOCUMENT = 100;
+
+// Metrics of the running invocation, grouped by dimension values. Lambda runs one invocation per container at a time
+let defaultDimensions = {};
+let groups = new Map();
+
+const toDimensionValues = (dimensions) => Object.fromEntries(
+  Object.entries(dimensions)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => [name, String(value)])
+);
+
+/**
+ * Starts collecting metrics for an invocation, dropping anything not yet flushed
+ * @param {Object} [dimensions] - Dimensions added to every metric, e.g. { Project }
+ */
+export const startMetrics = (dimensions = {}) => {
+  defaultDimensions = toDimensionValues(dimensions);
+  groups = new Map();
+};
+
+/**
+ * Adds dimensions to every metric recorded from now on, e.g. once the project is known
+ * @param {Object} dimensions - Dimension names and values
+ */
+export const addDefaultDimensions = (dimensions) => {
+  defaultDimensions = { ...defaultDimensions, ...toDimensionValues(dimensions) };
+};
+
+/**
+ * Records one value of a metric. Counts with the same name and dimensions
+ * are summed; other units keep every value so CloudWatch can compute percentiles.
+ * @param {string} name - Metric name
+ * @param {number} value - Value to record
+ * @param {string} unit - CloudWatch unit, e.g. Count, Bytes or Milliseconds
+ * @param {Object} [dimensions] - Dimension names and values
+ */
+export const putMetric = (name, value, unit, dimensions = {}) => {
+  const values = toDimensionValues({ ...defaultDimensions, ...dimensions });
+  const key = JSON.stringify(Object.entries(values).sort());
+  if (!groups.has(key)) groups.set(key, { dimensions: values, metrics: new Map() });
+  const { metrics } = groups.get(key);
+  if (!metrics.has(name)) metrics.set(name, { unit, values: [] });
+
+  const metric = metrics.get(name);
+  if (unit === 'Count' && metric.values.length > 0) {
+    metric.values[0] += value;
+  } else {
+    metric.values.push(value);
+  }
+};
+
+/**
+ * Counts an occurrence of something
+ * @param {string} name - Metric name
+ * @param {Object} [dimensions] - Dimension names and values
+ * @param {number} [value] - Amount to add
+ */
+export const countMetric = (name, dimensions = {}, value = 1) => putMetric(name, value, 'Count', dimensions);
+
+/**
+ * Writes the collected metrics to stdout in CloudWatch Embedded Metric Format,
+ * one document per set of dimension values, and starts over
+ * @returns {Object[]} Documents written
+ */
+export const flushMetrics = () => {
+  const namespace = process.env.METRICS_NAMESPACE || DEFAULT_NAMESPACE;
+  const documents = [];
+  for (const { dimensions, metrics } of groups.values()) {
+    const entries = [...metrics.entries()];
+    const longest = Math.max(...entries.map(([, { values }]) => values.length));
+    for (let offset = 0; offset < longest; offset += MAX_VALUES_PER_DOCUMENT) {
+      const chunk = entries
+        .map(([name, { unit, values }]) => [name, unit, values.slice(offset, offset + MAX_VALUES_PER_DOCUMENT)])
+        .filter(([, , values]) => values.length > 0);
+      documents.push({
+        _aws: {
+          Timestamp: Date.now(),
+          CloudWatchMetrics: [{
+            Namespace: namespace,
+            Dimensions: [Object.keys(dimensions)],
+            Metrics: chunk.map(([name, unit]) => ({ Name: name, Unit: unit }))
+          }]
+        },
+        ...dimensions,
+        ...Object.fromEntries(chunk.map(([name, , values]) => [name, values.length === 1 ? values[0] : values]))
+      });
+    }
+  }
+  // CloudWatch extracts the metrics from these log lines; they bypass the logger so they stay top-level JSON
+  documents.forEach((document) => console.log(JSON.stringify(document)));
+  groups = new Map();
+  return documents;
+};
@@ -0,0 +1,94 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+/**
+ * Converts a glob pattern into an anchored regular expression.
+ * Supports `*` (within one path segment), `?`, `**` (any depth) and `**\/`
+ * (zero or more directories).
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Expression matching the whole path
+ */
+export const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Tests a path against a glob. Patterns without a slash match the file name
+ * in any directory, like .gitignore entries.
+ * @param {string} filePath - Path or S3 key
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} True if the path matches
+ */
+export const matchesGlob = (filePath, pattern) => {
+  const target = pattern.includes('/') ? filePath : filePath.slice(filePath.lastIndexOf('/') + 1);
+  return globToRegExp(pattern).test(target);
+};
+
+/**
+ * Maps an S3 key to a repository path using the first rule that matches.
+ * A rule may combine:
+ *   prefix    - key must start with it; it is stripped from the path
+ *   match     - regular expression the key must match
+ *   replace   - replacement for `match`, may use capture groups ($1, $2, ...)
+ *   targetDir - directory the result is written into
+ * With no rules the key is used as-is.
+ * @param {string} objectKey - S3 object key
+ * @param {Object[]} [rules] - Ordered mapping rules
+ * @returns {string|null} Repository path, or null when no rule matches
+ */
+export const mapKeyToPath = (objectKey, rules = []) => {
+  if (rules.length === 0) return objectKey;
+
+  for (const { prefix, match, replace, targetDir } of rules) {
+    if (prefix && !objectKey.startsWith(prefix)) continue;
+    let path = prefix ? objectKey.slice(prefix.length) : objectKey;
+
+    if (match) {
+      const expression = new RegExp(match);
+      if (!expression.test(path)) continue;
+      if (replace !== undefined) {
+        path = path.replace(expression, replace);
+      }
+    }
+    if (targetDir) {
+      path = `${targetDir.replace(/\/+$/, '')}/${path}`;
+    }
+
+    path = path.replace(/\/{2,}/g, '/').replace(/^\/+/, '');
+    if (path) return path;
+  }
+  return null;
+};
+
+/**
+ * Checks an S3 key against include and exclude globs. Excludes win; with no
+ * include patterns every key is included.
+ * @param {string} objectKey - S3 object key
+ * @param {Object} [filters]
+ * @param {string[]} [filters.include] - Globs a key must match one of
+ * @param {string[]} [filters.exclude] - Globs a key must not match
+ * @returns {boolean} True if the key should be mirrored
+ */
+export const isKeyIncluded = (objectKey, { include = [], exclude = [] } = {}) => {
+  if (exclude.some((pattern) => matchesGlob(objectKey, pattern))) return false;
+  return include.length === 0 || include.some((pattern) => matchesGlob(objectKey, pattern));
+};
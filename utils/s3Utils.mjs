@@ -1,10 +1,35 @@
 // Copyright 2025 Deeply Digital Designs Inc. 
 // Licensed under the GPL 3.0 License - see LICENSE file for details.
 
-import { GetObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client
+} from "@aws-sdk/client-s3";
+import { createHash } from 'crypto';
 
-export const getS3ObjectContent = async (bucketName, objectKey) => {
-  const s3Client = new S3Client();
+import { logger } from './logger.mjs';
+
+// One client per container; it keeps its connections open across warm invocations
+let s3Client = null;
+const getS3Client = () => {
+  if (!s3Client) {
+    s3Client = new S3Client();
+  }
+  return s3Client;
+};
+
+// User metadata (x-amz-meta-gitlab-path) on objects written from GitLab, holding the URI-encoded
+// repository path they came from (metadata values must be ASCII)
+export const SYNC_METADATA_KEY = 'gitlab-path';
+
+
+// Returns the object's bytes along with the metadata needed to commit them
+export const getS3Object = async (bucketName, objectKey) => {
+  const s3Client = getS3Client();
   const getObjectCommand = new GetObjectCommand({
     Bucket: bucketName,
     Key: objectKey,
@@ -17,13 +42,124 @@ export const getS3ObjectContent = async (bucketName, objectKey) => {
     for await (const chunk of response.Body) {
       chunks.push(chunk);
     }
-    return Buffer.concat(chunks)
+    return {
+      content: Buffer.concat(chunks),
+      contentType: response.ContentType,
+      metadata: response.Metadata || {},
+    };
+  } catch (error) {
+    logger.error('Error getting S3 object content', { bucket: bucketName, key: objectKey, error });
+    throw error;
+  }
+};
 
-    // Convert the readable stream to string
-    //const content = await response.Body.transformToString();
-    //return content;
+export const getS3ObjectContent = async (bucketName, objectKey) => {
+  const { content } = await getS3Object(bucketName, objectKey);
+  return content;
+};
+
+export const getS3ObjectSize = async (bucketName, objectKey) => {
+  const s3Client = getS3Client();
+  const headObjectCommand = new HeadObjectCommand({
+    Bucket: bucketName,
+    Key: objectKey,
+  });
+
+  try {
+    const response = await s3Client.send(headObjectCommand);
+    return response.ContentLength;
+  } catch (error) {
+    logger.error('Error getting S3 object metadata', { bucket: bucketName, key: objectKey, error });
+    throw error;
+  }
+};
+
+// Lists every object under a prefix as { key, size }, following continuation tokens
+export const listS3Objects = async (bucketName, prefix) => {
+  const s3Client = getS3Client();
+  const objects = [];
+  let continuationToken;
+
+  try {
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucketName,
+        Prefix: prefix || undefined,
+        ContinuationToken: continuationToken,
+      }));
+      for (const { Key, Size } of response.Contents || []) {
+        objects.push({ key: Key, size: Size });
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return objects;
+  } catch (error) {
+    logger.error('Error listing S3 objects', { bucket: bucketName, prefix, error });
+    throw error;
+  }
+};
+
+// User metadata holding the hex SHA-256 of the bytes putS3Object wrote. ETags can't stand in for it:
+// they are only the content's MD5 for single-part uploads without SSE-KMS
+export const CONTENT_SHA256_METADATA_KEY = 'content-sha256';
+
+/**
+ * Writes an object unless it already holds the same bytes. Objects are compared
+ * through the SHA-256 stored in their metadata; objects written by anything else
+ * are read and hashed when their size matches. A write keeps the object's
+ * content type and user metadata, adding the given metadata over them.
+ * @param {string} bucketName - Bucket name
+ * @param {string} objectKey - Object key
+ * @param {Buffer} content - Object content
+ * @param {Object} [metadata] - User metadata to set
+ * @param {Object} [options]
+ * @param {string} [options.contentType] - Content type of a new object
+ * @returns {Promise<boolean>} False when the write was skipped
+ */
+export const putS3Object = async (bucketName, objectKey, content, metadata = {}, options = {}) => {
+  const s3Client = getS3Client();
+
+  try {
+    const contentSha256 = createHash('sha256').update(content).digest('hex');
+    const existing = await s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: objectKey }))
+      .catch((error) => {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      });
+    if (existing) {
+      const storedSha256 = existing.Metadata?.[CONTENT_SHA256_METADATA_KEY];
+      if (storedSha256 === contentSha256) {
+        return false;
+      }
+      if (!storedSha256 && existing.ContentLength === content.length) {
+        const current = await getS3ObjectContent(bucketName, objectKey);
+        if (createHash('sha256').update(current).digest('hex') === contentSha256) {
+          return false;
+        }
+      }
+    }
+
+    await s3Client.send(new PutObjectCommand({
+      Bucket: bucketName,
+      Key: objectKey,
+      Body: content,
+      ContentType: existing?.ContentType ?? options.contentType,
+      Metadata: { ...existing?.Metadata, ...metadata, [CONTENT_SHA256_METADATA_KEY]: contentSha256 },
+    }));
+    return true;
+  } catch (error) {
+    logger.error('Error writing S3 object', { bucket: bucketName, key: objectKey, error });
+    throw error;
+  }
+};
+
+export const deleteS3Object = async (bucketName, objectKey) => {
+  const s3Client = getS3Client();
+
+  try {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: objectKey }));
   } catch (error) {
-    console.error('Error getting S3 object content:', error);
+    logger.error('Error deleting S3 object', { bucket: bucketName, key: objectKey, error });
     throw error;
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,57 @@
+// Copyright 2025 Deeply Digital Designs Inc. 
+// Licensed under the GPL 3.0 License - see LICENSE file for details.
+
+// Sequencers are hex strings of varying length. As S3 documents, the shorter one
+// is padded with zeros on the right before they are compared as strings.
+const SEQUENCER_WIDTH = 32;
+
+export const normalizeSequencer = (sequencer) => {
+  return String(sequencer).toUpperCase().padEnd(SEQUENCER_WIDTH, '0');
+};
+
+export const compareSequencers = (a, b) => {
+  const left = normalizeSequencer(a);
+  const right = normalizeSequencer(b);
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+/**
+ * Tracks the newest sequencer per object across the store and the current batch,
+ * so events that arrive after a newer change to the same key can be skipped.
+ * @param {Object|null} store - State store (see services/stateStore.mjs)
+ * @returns {Object} Guard with isStale, accept, discard and save
+ */
+export const createSequenceGuard = (store) => {
+  const latest = new Map();
+  const accepted = new Map();
+  const keyOf = ({ bucketName, objectKey }) => `${bucketName}/${objectKey}`;
+
+  return {
+    isStale: async (record) => {
+      if (!store || !record.sequencer) return false;
+      const key = keyOf(record);
+      if (!latest.has(key)) {
+        latest.set(key, await store.get(key));
+      }
+      const previous = latest.get(key);
+      return previous !== undefined && compareSequencers(record.sequencer, previous) <= 0;
+    },
+    accept: (record) => {
+      if (!store || !record.sequencer) return;
+      latest.set(keyOf(record), record.sequencer);
+      accepted.set(keyOf(record), record.sequencer);
+    },
+    // Forgets an accepted record whose change never reached the repository
+    discard: (record) => {
+      accepted.delete(keyOf(record));
+    },
+    // Records the accepted sequencers; call once their changes are committed
+    save: async () => {
+      for (const [key, sequencer] of accepted) {
+        await store.put(key, sequencer);
+      }
+      accepted.clear();
+    }
+  };
+};